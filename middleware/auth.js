@@ -1,6 +1,14 @@
 const jwt = require("jsonwebtoken");
 const { User } = require("../models");
 
+// Resolve a bearer token to its user. Returns null when the user no longer
+// exists; throws when the token itself is invalid. Shared with the exam
+// socket, which authenticates on the HTTP upgrade.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.userId);
+};
+
 const authenticate = async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
@@ -11,8 +19,7 @@ const authenticate = async (req, res, next) => {
         .json({ success: false, message: "Authentication required" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const user = await getUserFromToken(token);
 
     if (!user) {
       return res
@@ -37,4 +44,4 @@ const adminOnly = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticate, adminOnly };
+module.exports = { authenticate, adminOnly, getUserFromToken };
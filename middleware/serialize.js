@@ -0,0 +1,20 @@
+const { serialize } = require("../utils/serialize");
+
+// Role-aware serialization for every JSON response. Students never get answer
+// keys unless the route opened them with res.locals.revealAnswers (e.g. a
+// review they're allowed to see).
+const serializeResponse = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) =>
+    json(
+      serialize(body, {
+        role: req.user?.role,
+        reveal: res.locals.revealAnswers === true,
+      })
+    );
+
+  next();
+};
+
+module.exports = { serializeResponse };
@@ -1,12 +1,36 @@
 const mongoose = require("mongoose");
 
+// Never sent to anyone
+const PRIVATE_FIELDS = ["hashedPassword"];
+// Answer key: only for admins, or students whose review is open
+const ANSWER_KEY_FIELDS = ["correctAnswer", "plusT", "minusT", "feedback"];
+
+// Strip fields the caller may not see. Used by the idPlugin transform for
+// documents and by the response serializer for already-plain objects.
+const sanitize = (ret, options = {}) => {
+  for (const field of PRIVATE_FIELDS) delete ret[field];
+
+  // Only question-shaped objects; a practice answer's own `correctAnswer`
+  // field is deliberate
+  if (options.hideAnswers && "correctAnswer" in ret && "text" in ret) {
+    for (const field of ANSWER_KEY_FIELDS) delete ret[field];
+  }
+
+  // A certificate's PDF is only served by its own route, which checks
+  // ownership and revocation; its GridFS id stays on the server
+  if ("certificateNumber" in ret) delete ret.fileId;
+  return ret;
+};
+
 // Plugin: expose id instead of _id
+// Pass { hideAnswers: true } to toJSON/toObject to drop answer keys; the
+// option reaches populated documents too.
 const idPlugin = (schema) => {
-  const transform = (doc, ret) => {
+  const transform = (doc, ret, options) => {
     ret.id = ret?._id?.toString();
     delete ret?._id;
     delete ret.__v;
-    return ret;
+    return sanitize(ret, options);
   };
 
   schema.set("toJSON", { virtuals: true, transform });
@@ -20,6 +44,8 @@ const userSchema = new mongoose.Schema(
     role: { type: String, enum: ["admin", "student"], required: true },
     email: { type: String, required: true, unique: true, lowercase: true },
     hashedPassword: { type: String, required: true },
+    // When the student's past misses were loaded into their review queue
+    reviewQueueBackfilledAt: { type: String, default: null },
   },
   { timestamps: true }
 );
@@ -45,7 +71,11 @@ const questionSchema = new mongoose.Schema(
       ref: "Category",
       required: true,
     },
-    type: { type: String, enum: ["mcq", "short"], required: true },
+    type: {
+      type: String,
+      enum: ["mcq", "short", "multi", "truefalse", "matching", "ordering"],
+      required: true,
+    },
     marks: { type: Number, required: true },
     unit: { type: String, default: null },
     difficulty: {
@@ -64,13 +94,44 @@ const questionSchema = new mongoose.Schema(
         img: { type: String },
       },
     ],
+    // Right-hand column for matching questions
+    matchOptions: [{ type: mongoose.Schema.Types.Mixed }],
+    // Award a proportional share of marks for partly correct answers
+    partialCredit: { type: Boolean, default: false },
     questionImg: { type: String, default: null },
+    // Bumped on every edit; each version is kept as a QuestionRevision
+    version: { type: Number, default: 1 },
   },
   { timestamps: true }
 );
 questionSchema.plugin(idPlugin);
 const Question = mongoose.model("Question", questionSchema);
 
+// QuestionRevision Model (immutable snapshot of one question version)
+const questionRevisionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    version: { type: Number, required: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+questionRevisionSchema.index({ questionId: 1, version: 1 }, { unique: true });
+questionRevisionSchema.plugin(idPlugin);
+const QuestionRevision = mongoose.model(
+  "QuestionRevision",
+  questionRevisionSchema
+);
+
 // Exam Model
 const examSchema = new mongoose.Schema(
   {
@@ -84,16 +145,79 @@ const examSchema = new mongoose.Schema(
     },
     duration: { type: Number, required: true },
     questions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+    // Rule-based draw from the bank, used instead of `questions` when set
+    blueprint: [
+      {
+        _id: false,
+        categoryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+          required: true,
+        },
+        difficulty: { type: String, enum: ["hard", "medium", "easy"] },
+        count: { type: Number, required: true, min: 1 },
+      },
+    ],
+    preferUnseenQuestions: { type: Boolean, default: false },
+    shuffleQuestions: { type: Boolean, default: false },
+    shuffleOptions: { type: Boolean, default: false },
     defaultAttempts: { type: Number, required: true },
     defaultExpiry: { type: Number, required: true },
     passingPercentage: { type: Number, required: true },
+    scoringPolicy: {
+      // Fraction of a question's marks taken off for a wrong answer
+      wrongPenalty: { type: Number, default: 0, min: 0 },
+      // Keep the session score from going below zero
+      floorAtZero: { type: Boolean, default: true },
+      // Unanswered questions score zero or are penalised like wrong answers
+      unanswered: {
+        type: String,
+        enum: ["zero", "penalty"],
+        default: "zero",
+      },
+      // Multiplier on question marks per category (1 when not listed)
+      categoryWeights: [
+        {
+          _id: false,
+          categoryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Category",
+            required: true,
+          },
+          weight: { type: Number, required: true, min: 0 },
+        },
+      ],
+    },
     reviewMode: {
       type: String,
       enum: ["practice", "assessment"],
       required: true,
     },
+    // Review window: opens on submission or after closesAt, optionally
+    // expiring some days later
+    reviewOpens: {
+      type: String,
+      enum: ["on_submit", "after_close"],
+      default: "on_submit",
+    },
+    reviewExpiresAfterDays: { type: Number, default: null },
+    // Integrity event counts at which a session is flagged for review
+    // (null turns a check off)
+    integrityThresholds: {
+      tabSwitches: { type: Number, default: 5, min: 1 },
+      fullscreenExits: { type: Number, default: 3, min: 1 },
+      copyPaste: { type: Number, default: 3, min: 1 },
+      disconnects: { type: Number, default: 5, min: 1 },
+    },
     opensAt: { type: String, required: true },
     closesAt: { type: String, required: true },
+    // Set on personal practice exams generated from a student's weak areas;
+    // null for official exams
+    generatedFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -120,6 +244,13 @@ const examAssignmentSchema = new mongoose.Schema(
     status: { type: String, enum: ["active", "disabled"], default: "active" },
     bulkAssignmentId: { type: String },
     isReviewAllowed: { type: Boolean, required: true },
+    // Override the exam's review window (null = use the exam's)
+    reviewOpens: {
+      type: String,
+      enum: ["on_submit", "after_close", null],
+      default: null,
+    },
+    reviewExpiresAfterDays: { type: Number, default: null },
     lastAnsweredAt: { type: String, default: null },
   },
   { timestamps: true }
@@ -127,6 +258,42 @@ const examAssignmentSchema = new mongoose.Schema(
 examAssignmentSchema.plugin(idPlugin);
 const ExamAssignment = mongoose.model("ExamAssignment", examAssignmentSchema);
 
+// Result breakdown entry (one per category or difficulty)
+const resultGroupFields = {
+  totalQuestions: { type: Number },
+  answered: { type: Number },
+  correct: { type: Number },
+  totalMarks: { type: Number },
+  score: { type: Number },
+  percentage: { type: Number },
+};
+
+// Result computed when a session is submitted
+const sessionResultSchema = new mongoose.Schema(
+  {
+    totalMarks: { type: Number, required: true },
+    score: { type: Number, required: true },
+    percentage: { type: Number, required: true },
+    passed: { type: Boolean, required: true },
+    byCategory: [
+      {
+        _id: false,
+        categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+        ...resultGroupFields,
+      },
+    ],
+    byDifficulty: [
+      {
+        _id: false,
+        difficulty: { type: String },
+        ...resultGroupFields,
+      },
+    ],
+    computedAt: { type: String },
+  },
+  { _id: false }
+);
+
 // ExamSession Model
 const examSessionSchema = new mongoose.Schema(
   {
@@ -136,10 +303,15 @@ const examSessionSchema = new mongoose.Schema(
       required: true,
     },
     grade: { type: Number, default: 0 },
+    result: { type: sessionResultSchema, default: null },
     submittedAt: { type: String, default: null },
+    autoSubmitted: { type: Boolean, default: false },
     isRunning: { type: Boolean, default: false },
     runAt: { type: String, default: null },
     pausedAt: { type: String, default: null },
+    // Last ping answered (or heartbeat sent) by the exam socket
+    lastHeartbeatAt: { type: String, default: null },
+    lastAnsweredAt: { type: String, default: null },
     totalTimeConsumed: { type: Number, default: 0 },
     answeredQuestions: [
       { type: mongoose.Schema.Types.ObjectId, ref: "SubmittedAnswer" },
@@ -147,6 +319,50 @@ const examSessionSchema = new mongoose.Schema(
     bookmarkedQuestions: [
       { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
     ],
+    // The session's own questions, in the order the student sees them.
+    // Fixed when the session starts (drawn fresh for blueprint exams).
+    questionOrder: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+    optionOrders: [
+      {
+        _id: false,
+        questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+        order: [{ type: Number }],
+      },
+    ],
+    // Seconds spent on each question, and the one on screen right now
+    questionTimes: [
+      {
+        _id: false,
+        questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+        seconds: { type: Number, default: 0 },
+      },
+    ],
+    viewingQuestion: {
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+        default: null,
+      },
+      since: { type: String, default: null },
+    },
+    // Question versions served by this session
+    questionVersions: [
+      {
+        _id: false,
+        questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+        version: { type: Number },
+      },
+    ],
+    // Events counted towards each integrity flag, kept as they're logged
+    integrityCounts: {
+      tabSwitches: { type: Number, default: 0 },
+      fullscreenExits: { type: Number, default: 0 },
+      copyPaste: { type: Number, default: 0 },
+      disconnects: { type: Number, default: 0 },
+    },
+    // Set when integrity events cross the exam's thresholds
+    flaggedForReview: { type: Boolean, default: false },
+    integrityFlags: [{ type: String }],
   },
   { timestamps: true }
 );
@@ -167,7 +383,23 @@ const submittedAnswerSchema = new mongoose.Schema(
       required: true,
     },
     submittedValue: { type: mongoose.Schema.Types.Mixed, required: true },
+    questionVersion: { type: Number },
     isCorrect: { type: Boolean, required: true },
+    awardedMarks: { type: Number },
+    // Set while an instructor's override stands
+    isManuallyGraded: { type: Boolean, default: false },
+    overrideHistory: [
+      {
+        _id: false,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: { type: String, required: true },
+        reason: { type: String, required: true },
+        previousIsCorrect: { type: Boolean },
+        previousAwardedMarks: { type: Number },
+        isCorrect: { type: Boolean },
+        awardedMarks: { type: Number },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -177,12 +409,131 @@ const SubmittedAnswer = mongoose.model(
   submittedAnswerSchema
 );
 
+// SessionEvent Model
+// Proctoring log: connects and disconnects seen by the server, and
+// integrity events reported by the exam client
+const SESSION_EVENT_TYPES = [
+  "connect",
+  "disconnect",
+  "blur",
+  "focus",
+  "visibility_hidden",
+  "visibility_visible",
+  "fullscreen_enter",
+  "fullscreen_exit",
+  "copy",
+  "paste",
+];
+
+const sessionEventSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExamSession",
+      required: true,
+      index: true,
+    },
+    type: { type: String, enum: SESSION_EVENT_TYPES, required: true },
+    source: { type: String, enum: ["server", "client"], required: true },
+    occurredAt: { type: String, required: true },
+    ip: { type: String },
+    userAgent: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+sessionEventSchema.plugin(idPlugin);
+const SessionEvent = mongoose.model("SessionEvent", sessionEventSchema);
+
+// ReviewItem Model
+// A student's spaced-repetition schedule for one question they got wrong
+const reviewItemSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // SM-2 state: interval in days, successful reviews in a row, ease
+    easeFactor: { type: Number, default: 2.5 },
+    interval: { type: Number, default: 0 },
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueAt: { type: String, required: true },
+    lastReviewedAt: { type: String, default: null },
+    lastQuality: { type: Number, default: null },
+    // Shuffled option order (displayed position → authoring index) for
+    // ordering and matching questions, kept until the item is answered
+    optionOrder: { type: [Number], default: undefined },
+  },
+  { timestamps: true }
+);
+reviewItemSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+reviewItemSchema.index({ studentId: 1, dueAt: 1 });
+reviewItemSchema.plugin(idPlugin);
+const ReviewItem = mongoose.model("ReviewItem", reviewItemSchema);
+
+// Certificate Model
+// Issued for a passed official attempt; the PDF lives in the GridFS
+// "uploads" bucket. Name, exam and score are copied in so the certificate
+// reads the same after later edits.
+const certificateSchema = new mongoose.Schema(
+  {
+    certificateNumber: { type: String, required: true, unique: true },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExamSession",
+      required: true,
+      unique: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    examId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Exam",
+      required: true,
+    },
+    studentName: { type: String, required: true },
+    examName: { type: String, required: true },
+    score: { type: Number, required: true },
+    totalMarks: { type: Number, required: true },
+    percentage: { type: Number, required: true },
+    passedAt: { type: String, required: true },
+    issuedAt: { type: String, required: true },
+    fileId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    revokedAt: { type: String, default: null },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revocationReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+certificateSchema.plugin(idPlugin);
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
 module.exports = {
+  sanitize,
+  SESSION_EVENT_TYPES,
   User,
   Category,
   Question,
+  QuestionRevision,
   Exam,
   ExamAssignment,
   ExamSession,
   SubmittedAnswer,
+  SessionEvent,
+  ReviewItem,
+  Certificate,
 };
@@ -0,0 +1,164 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { Certificate } = require("../models");
+const { authenticate, adminOnly } = require("../middleware/auth");
+const { getUploadsBucket } = require("../utils/gridfs");
+const { issueCertificate, toVerification } = require("../utils/certificates");
+
+const router = express.Router();
+
+// Public: confirm a certificate number is genuine and still valid
+router.get("/verify/:certificateNumber", async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({
+      certificateNumber: req.params.certificateNumber.trim().toUpperCase(),
+    });
+    if (!certificate) {
+      return res
+        .status(404)
+        .json({
+          success: false,
+          valid: false,
+          message: "Certificate not found",
+        });
+    }
+
+    res.json({ success: true, certificate: toVerification(certificate) });
+  } catch (error) {
+    console.error("Verify certificate error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Students see their own certificates; admins see all, or one student's
+// with ?studentId
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role !== "admin") {
+      filter.studentId = req.userId;
+    } else if (req.query.studentId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.studentId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid studentId" });
+      }
+      filter.studentId = req.query.studentId;
+    }
+
+    const certificates = await Certificate.find(filter).sort({ issuedAt: -1 });
+    res.json({ success: true, certificates });
+  } catch (error) {
+    console.error("Get certificates error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Issue (or re-render) the certificate for a passed session
+router.post(
+  "/sessions/:sessionId",
+  authenticate,
+  adminOnly,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid sessionId" });
+      }
+
+      const certificate = await issueCertificate(req.params.sessionId);
+      res.status(201).json({ success: true, certificate });
+    } catch (error) {
+      console.error("Issue certificate error:", error);
+      res
+        .status(error.status || 500)
+        .json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Download the PDF: the certificate's student or an admin
+router.get("/:id/pdf", authenticate, async (req, res) => {
+  try {
+    const certificate = await Certificate.findById(req.params.id);
+    if (
+      !certificate ||
+      (req.user.role !== "admin" &&
+        certificate.studentId.toString() !== req.userId)
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Certificate not found" });
+    }
+    if (certificate.revokedAt) {
+      return res
+        .status(410)
+        .json({ success: false, message: "Certificate has been revoked" });
+    }
+    if (!certificate.fileId) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Certificate PDF not generated yet" });
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="certificate-${certificate.certificateNumber}.pdf"`,
+    });
+    getUploadsBucket()
+      .openDownloadStream(certificate.fileId)
+      .on("error", (err) => {
+        console.error("Certificate download error:", err);
+        if (!res.headersSent) {
+          res.status(404).json({ success: false, message: "File not found" });
+        } else {
+          res.destroy(err);
+        }
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error("Download certificate error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Revoke a certificate. Body: { reason }
+router.post("/:id/revoke", authenticate, adminOnly, async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ success: false, message: "reason required" });
+    }
+
+    const certificate = await Certificate.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      {
+        $set: {
+          revokedAt: new Date().toISOString(),
+          revokedBy: req.userId,
+          revocationReason: reason,
+        },
+      },
+      { new: true }
+    );
+    if (!certificate) {
+      const exists = await Certificate.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "Certificate already revoked"
+          : "Certificate not found",
+      });
+    }
+
+    res.json({ success: true, certificate });
+  } catch (error) {
+    console.error("Revoke certificate error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const { ExamAssignment, Exam, ExamSession } = require("../models");
 const { authenticate, adminOnly } = require("../middleware/auth");
+const { getResultsByAssignment } = require("../utils/results");
+const { getExamKindFilter } = require("../utils/practiceExams");
+const { getExamPopulate } = require("../utils/questionOrder");
 
 const router = express.Router();
 
@@ -14,6 +17,8 @@ router.post("/bulk", authenticate, adminOnly, async (req, res) => {
       opensAt,
       closesAt,
       isReviewAllowed,
+      reviewOpens,
+      reviewExpiresAfterDays,
       bulkAssignmentId,
     } = req.body;
     if (
@@ -55,6 +60,8 @@ router.post("/bulk", authenticate, adminOnly, async (req, res) => {
               })()
             : null),
         isReviewAllowed: isReviewAllowed || exam.reviewMode === "practice",
+        reviewOpens: reviewOpens || null,
+        reviewExpiresAfterDays: reviewExpiresAfterDays ?? null,
         bulkAssignmentId: bulkId,
         status: "active",
         attemptsUsed: 0,
@@ -73,10 +80,11 @@ router.post("/bulk", authenticate, adminOnly, async (req, res) => {
   }
 });
 
-// Get all assignments (filtered by role)
+// Get all assignments (filtered by role). Official exams only;
+// ?practice=true lists generated practice exams instead.
 router.get("/", authenticate, async (req, res) => {
   try {
-    let query = {};
+    let query = await getExamKindFilter(req.query.practice === "true");
 
     if (req.user.role === "student") {
       query.studentId = req.userId;
@@ -85,7 +93,7 @@ router.get("/", authenticate, async (req, res) => {
     const assignments = await ExamAssignment.find(query)
       .populate({
         path: "examId",
-        populate: [{ path: "categoryId" }, { path: "questions" }],
+        populate: getExamPopulate(req.user.role),
       })
       .populate("studentId");
 
@@ -95,7 +103,9 @@ router.get("/", authenticate, async (req, res) => {
       submittedAt: null,
     });
 
-    // Attach sessionToResume to the matching assignment
+    const resultsByAssignment = await getResultsByAssignment(assignmentIds);
+
+    // Attach sessionToResume and attempt results to the matching assignment
     const assignmentsWithSession = assignments.map((assignment) => {
       // Convert both IDs to string for comparison
       const hasSession =
@@ -105,6 +115,7 @@ router.get("/", authenticate, async (req, res) => {
       return {
         ...assignment.toObject(),
         sessionToResume: hasSession ? sessionToResume : null,
+        results: resultsByAssignment.get(assignment._id.toString()) || [],
       };
     });
 
@@ -120,7 +131,7 @@ router.get("/:id", authenticate, async (req, res) => {
     const assignment = await ExamAssignment.findById(req.params.id)
       .populate({
         path: "examId",
-        populate: [{ path: "categoryId" }, { path: "questions" }],
+        populate: getExamPopulate(req.user.role),
       })
       .populate("studentId");
 
@@ -138,7 +149,15 @@ router.get("/:id", authenticate, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    res.json({ success: true, assignment });
+    const resultsByAssignment = await getResultsByAssignment([assignment._id]);
+
+    res.json({
+      success: true,
+      assignment: {
+        ...assignment.toObject(),
+        results: resultsByAssignment.get(assignment._id.toString()) || [],
+      },
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -147,8 +166,15 @@ router.get("/:id", authenticate, async (req, res) => {
 // Update assignment (admin only)
 router.put("/:id", authenticate, adminOnly, async (req, res) => {
   try {
-    const { allowedAttempts, opensAt, closesAt, status, isReviewAllowed } =
-      req.body;
+    const {
+      allowedAttempts,
+      opensAt,
+      closesAt,
+      status,
+      isReviewAllowed,
+      reviewOpens,
+      reviewExpiresAfterDays,
+    } = req.body;
 
     const updateData = {};
     if (allowedAttempts !== undefined)
@@ -158,6 +184,9 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
     if (status) updateData.status = status;
     if (isReviewAllowed !== undefined)
       updateData.isReviewAllowed = isReviewAllowed;
+    if (reviewOpens !== undefined) updateData.reviewOpens = reviewOpens;
+    if (reviewExpiresAfterDays !== undefined)
+      updateData.reviewExpiresAfterDays = reviewExpiresAfterDays;
 
     const assignment = await ExamAssignment.findByIdAndUpdate(
       req.params.id,
@@ -166,7 +195,7 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
     )
       .populate({
         path: "examId",
-        populate: [{ path: "categoryId" }, { path: "questions" }],
+        populate: getExamPopulate(req.user.role),
       })
       .populate("studentId");
 
@@ -1,9 +1,58 @@
 const express = require("express");
 const { ExamSession, ExamAssignment, SubmittedAnswer } = require("../models");
 const { authenticate, adminOnly } = require("../middleware/auth");
+const { getRemainingTime } = require("../utils/sessionTime");
+const { submitSession } = require("../utils/submitSession");
+const {
+  createSessionOrder,
+  getSessionQuestions,
+  getSessionQuestionIds,
+  getOptionOrder,
+  presentQuestion,
+  getExamPopulate,
+} = require("../utils/questionOrder");
+const { drawQuestions } = require("../utils/blueprint");
+const {
+  pinQuestionVersions,
+  resolvePinnedQuestions,
+} = require("../utils/questionVersions");
+const { getReviewAccess } = require("../utils/reviewAccess");
+const { viewQuestion } = require("../utils/questionTime");
+const { toggleBookmark } = require("../utils/bookmarks");
+const { getSessionIntegrity } = require("../utils/integrity");
+const { getAwardedMarks, toDisplayedAnswer } = require("../utils/grading");
+const { getScoringPolicy, getQuestionValue } = require("../utils/scoring");
+const { getExamKindFilter } = require("../utils/practiceExams");
 
 const router = express.Router();
 
+// Students sitting an assessment don't see marking until they submit
+const hideMarking = (role, session) => {
+  const plain = session.toObject ? session.toObject() : session;
+  const exam = session.assignmentId?.examId;
+  if (
+    role === "admin" ||
+    session.submittedAt ||
+    exam?.reviewMode !== "assessment"
+  ) {
+    return plain;
+  }
+
+  return {
+    ...plain,
+    grade: null,
+    answeredQuestions: (plain.answeredQuestions || []).map((a) =>
+      a && a.submittedValue !== undefined
+        ? {
+            id: a.id,
+            questionId: a.questionId,
+            submittedValue: a.submittedValue,
+          }
+        : a
+    ),
+  };
+};
+
 // Start exam session
 router.post("/start", authenticate, async (req, res) => {
   try {
@@ -71,11 +120,22 @@ router.post("/start", authenticate, async (req, res) => {
       });
     }
 
-    // Create new session
+    // Blueprint exams draw a fresh question set for every attempt
+    const exam = assignment.examId;
+    const questions = exam.blueprint?.length
+      ? await drawQuestions(exam, assignment.studentId._id)
+      : exam.questions.filter(Boolean);
+
+    // Create new session with its own question/option order
+    const { questionOrder, optionOrders } = createSessionOrder(exam, questions);
     const session = new ExamSession({
       assignmentId,
       grade: 0,
       submittedAt: null,
+      questionOrder,
+      optionOrders,
+      // Review later shows exactly the versions served now
+      questionVersions: await pinQuestionVersions(questions),
     });
 
     await session.save();
@@ -99,31 +159,36 @@ router.post("/start", authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error("Start session error:", error);
-    res.status(500).json({ success: false, message: error.message });
+    res
+      .status(error.status || 500)
+      .json({ success: false, message: error.message });
   }
 });
 
-// Get all sessions (admin sees all, student sees own)
+// Get all sessions (admin sees all, student sees own). Official exams only;
+// ?practice=true lists practice sessions instead.
 router.get("/", authenticate, async (req, res) => {
   try {
     let sessions;
+    const examFilter = await getExamKindFilter(req.query.practice === "true");
 
     if (req.user.role === "admin") {
-      sessions = await ExamSession.find().populate({
+      const assignmentIds = await ExamAssignment.distinct("_id", examFilter);
+      // ?flagged=true lists only sessions flagged by integrity checks
+      const filter = { assignmentId: { $in: assignmentIds } };
+      if (req.query.flagged === "true") filter.flaggedForReview = true;
+      sessions = await ExamSession.find(filter).populate({
         path: "assignmentId",
         populate: [
-          {
-            path: "examId",
-            populate: [
-              { path: "categoryId" },
-              { path: "questions", populate: { path: "categoryId" } },
-            ],
-          },
+          { path: "examId", populate: getExamPopulate(req.user.role) },
           { path: "studentId" },
         ],
       });
     } else {
-      const assignments = await ExamAssignment.find({ studentId: req.userId });
+      const assignments = await ExamAssignment.find({
+        ...examFilter,
+        studentId: req.userId,
+      });
       const assignmentIds = assignments.map((a) => a._id);
 
       sessions = await ExamSession.find({
@@ -131,19 +196,16 @@ router.get("/", authenticate, async (req, res) => {
       }).populate({
         path: "assignmentId",
         populate: [
-          {
-            path: "examId",
-            populate: [
-              { path: "categoryId" },
-              { path: "questions", populate: { path: "categoryId" } },
-            ],
-          },
+          { path: "examId", populate: getExamPopulate(req.user.role) },
           { path: "studentId" },
         ],
       });
     }
 
-    res.json({ success: true, sessions });
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => hideMarking(req.user.role, session)),
+    });
   } catch (error) {
     console.error("Get sessions error:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -168,7 +230,8 @@ router.get("/:id", authenticate, async (req, res) => {
         ],
       })
       .populate("answeredQuestions")
-      .populate("bookmarkedQuestions");
+      .populate("bookmarkedQuestions")
+      .populate({ path: "questionOrder", populate: { path: "categoryId" } });
 
     if (!session) {
       return res
@@ -184,13 +247,189 @@ router.get("/:id", authenticate, async (req, res) => {
       return res.status(403).json({ success: false, message: "Access denied" });
     }
 
-    res.json({ success: true, session });
+    // Answer keys only once the attempt is over and review is open
+    res.locals.revealAnswers = getReviewAccess(
+      session,
+      session.assignmentId,
+      session.assignmentId.examId
+    ).allowed;
+
+    // Questions as this student sees them
+    const questions = (
+      await resolvePinnedQuestions(
+        session,
+        getSessionQuestions(session, session.assignmentId.examId)
+      )
+    ).map((q) => presentQuestion(session, q));
+
+    // The populated lists above show bank questions with options in
+    // authoring order; students only get their ids
+    const plain = hideMarking(req.user.role, session);
+    if (req.user.role !== "admin") {
+      plain.questionOrder = session.populated("questionOrder") || [];
+      plain.bookmarkedQuestions =
+        session.populated("bookmarkedQuestions") || [];
+      plain.assignmentId.examId.questions =
+        session.assignmentId.examId.populated("questions") || [];
+    }
+
+    res.json({ success: true, session: { ...plain, questions } });
   } catch (error) {
     console.error("Get session by ID error:", error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Proctoring timeline for a session: every connect, disconnect and
+// integrity event in order, with per-flag counts against the exam's
+// thresholds (admin only)
+router.get("/:id/events", authenticate, adminOnly, async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id).populate({
+      path: "assignmentId",
+      populate: [
+        { path: "examId", select: "name integrityThresholds" },
+        { path: "studentId" },
+      ],
+    });
+
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    const { timeline, summary } = await getSessionIntegrity(
+      session,
+      session.assignmentId.examId
+    );
+
+    res.json({
+      success: true,
+      sessionId: session._id,
+      student: session.assignmentId.studentId,
+      flaggedForReview: session.flaggedForReview,
+      summary,
+      timeline,
+    });
+  } catch (error) {
+    console.error("Get session events error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Review report for a submitted session: every question in the order the
+// student saw it, with their answer (or "unanswered"), the answer key,
+// feedback, marks and bookmark status.
+// Admins can always view; students only their own, inside the review window.
+router.get("/:id/review", authenticate, async (req, res) => {
+  try {
+    const session = await ExamSession.findById(req.params.id)
+      .populate({
+        path: "assignmentId",
+        populate: [
+          {
+            path: "examId",
+            populate: { path: "questions", populate: { path: "categoryId" } },
+          },
+          { path: "studentId", select: "name email" },
+        ],
+      })
+      .populate({ path: "questionOrder", populate: { path: "categoryId" } });
+
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    const assignment = session.assignmentId;
+    const exam = assignment.examId;
+
+    if (
+      req.user.role === "student" &&
+      assignment.studentId._id.toString() !== req.userId
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const access = getReviewAccess(session, assignment, exam);
+    if (!session.submittedAt) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Exam has not been submitted yet" });
+    }
+    if (req.user.role === "student" && !access.allowed) {
+      return res.status(403).json({ success: false, message: access.reason });
+    }
+    res.locals.revealAnswers = true;
+
+    const answers = await SubmittedAnswer.find({ sessionId: session._id });
+    const answersByQuestion = new Map(
+      answers.map((a) => [a.questionId.toString(), a])
+    );
+    const bookmarked = session.bookmarkedQuestions.map((id) => id.toString());
+    const policy = getScoringPolicy(exam);
+    const timeSpent = new Map(
+      session.questionTimes.map((t) => [t.questionId.toString(), t.seconds])
+    );
+
+    // The versions the student was served
+    const questions = await resolvePinnedQuestions(
+      session,
+      getSessionQuestions(session, exam)
+    );
+
+    const items = questions.map((question, index) => {
+      const answer = answersByQuestion.get(question._id.toString());
+      const lastOverride = answer?.overrideHistory.at(-1);
+
+      return {
+        index,
+        question: presentQuestion(session, question),
+        status: answer ? "answered" : "unanswered",
+        submittedValue: answer ? answer.submittedValue : null,
+        // Index keys point at options as this session displayed them
+        correctAnswer: toDisplayedAnswer(
+          question,
+          getOptionOrder(session, question._id)
+        ),
+        feedback: question.feedback,
+        isCorrect: answer ? answer.isCorrect : false,
+        awardedMarks: answer ? getAwardedMarks(answer, question) : 0,
+        maxMarks: getQuestionValue(policy, question),
+        isBookmarked: bookmarked.includes(question._id.toString()),
+        timeSpent: timeSpent.get(question._id.toString()) || 0,
+        manualAdjustment:
+          answer?.isManuallyGraded && lastOverride
+            ? { reason: lastOverride.reason, changedAt: lastOverride.changedAt }
+            : null,
+      };
+    });
+
+    res.json({
+      success: true,
+      review: {
+        sessionId: session._id,
+        exam: { id: exam._id, name: exam.name, reviewMode: exam.reviewMode },
+        student: assignment.studentId,
+        submittedAt: session.submittedAt,
+        totalTimeConsumed: session.totalTimeConsumed,
+        grade: session.grade,
+        result: session.result,
+        reviewWindow: {
+          opensAt: access.opensAt || null,
+          expiresAt: access.expiresAt || null,
+        },
+        questions: items,
+      },
+    });
+  } catch (error) {
+    console.error("Get session review error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get remaining time for a session
 router.get("/remaining-time/:sessionId", authenticate, async (req, res) => {
   try {
@@ -238,14 +477,13 @@ router.get("/remaining-time/:sessionId", authenticate, async (req, res) => {
       });
     }
 
-    const duration = exam.duration; // in seconds
-    let timeConsumed = session.totalTimeConsumed || 0;
-
-    const remainingTime = duration - timeConsumed;
+    // Live figure: settled time plus the currently running stretch. A clock
+    // that has run out reports 0; the timer sweep does the submitting.
+    const remainingTime = getRemainingTime(session, exam);
 
     res.json({
       success: true,
-      remainingTime: remainingTime > 0 ? Math.floor(remainingTime) : 0,
+      remainingTime,
       type: "timed",
     });
   } catch (error) {
@@ -290,10 +528,11 @@ router.post(
           .json({ success: false, message: "Exam already submitted" });
       }
 
-      // Validate that the question belongs to this exam
-      const questionExists = session.assignmentId.examId.questions.some(
-        (q) => q._id.toString() === questionId
-      );
+      // Validate that the question belongs to this session
+      const questionExists = getSessionQuestionIds(
+        session,
+        session.assignmentId.examId
+      ).includes(questionId);
       if (!questionExists) {
         return res
           .status(400)
@@ -318,24 +557,17 @@ router.post(
   }
 );
 
-// Toggle bookmark for a question (add or remove)
+// Record which question the student is looking at (per-question time)
 router.post(
-  "/:sessionId/bookmark/:questionId",
+  "/:sessionId/viewing/:questionId",
   authenticate,
   async (req, res) => {
     try {
       const { sessionId, questionId } = req.params;
 
-      const session = await ExamSession.findById(sessionId)
-        .populate({
-          path: "assignmentId",
-          populate: [{ path: "studentId" }, { path: "examId" }],
-        })
-        .populate({
-          path: "assignmentId.examId",
-          populate: { path: "questions" },
-        });
-
+      const session = await ExamSession.findById(sessionId).populate(
+        "assignmentId"
+      );
       if (!session) {
         return res
           .status(404)
@@ -345,61 +577,49 @@ router.post(
       // Ownership check
       if (
         req.user.role === "student" &&
-        session.assignmentId.studentId._id.toString() !== req.userId
+        session.assignmentId.studentId.toString() !== req.userId
       ) {
         return res
           .status(403)
           .json({ success: false, message: "Access denied" });
       }
 
-      // Prevent action if already submitted (optional — you might allow viewing bookmarks after submit)
-      if (session.submittedAt) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Exam already submitted" });
-      }
-
-      // Validate question belongs to exam
-      const questionExists = session.assignmentId.examId.questions.some(
-        (q) => q._id.toString() === questionId
-      );
-      if (!questionExists) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Invalid question for this exam" });
-      }
+      const updated = await viewQuestion(sessionId, questionId);
 
-      const bookmarkIndex = session.bookmarkedQuestions.findIndex(
-        (id) => id.toString() === questionId
-      );
+      res.json({
+        success: true,
+        viewingQuestion: updated.viewingQuestion,
+        questionTimes: updated.questionTimes,
+      });
+    } catch (error) {
+      console.error("Record question view error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
 
-      if (bookmarkIndex === -1) {
-        // Add bookmark
-        session.bookmarkedQuestions.push(questionId);
-        await session.save();
-        return res.json({
-          success: true,
-          action: "bookmarked",
-          bookmarkedQuestions: session.bookmarkedQuestions,
-        });
-      } else {
-        // Remove bookmark
-        session.bookmarkedQuestions.splice(bookmarkIndex, 1);
-        await session.save();
-        return res.json({
-          success: true,
-          action: "unbookmarked",
-          bookmarkedQuestions: session.bookmarkedQuestions,
-        });
-      }
+// Toggle bookmark for a question (add or remove)
+router.post(
+  "/:sessionId/bookmark/:questionId",
+  authenticate,
+  async (req, res) => {
+    try {
+      const { sessionId, questionId } = req.params;
+      const result = await toggleBookmark(req.user, sessionId, questionId);
+      res.json({ success: true, ...result });
     } catch (error) {
       console.error("Toggle bookmark error:", error);
-      res.status(500).json({ success: false, message: error.message });
+      res
+        .status(error.status || 500)
+        .json({ success: false, message: error.message });
     }
   }
 );
 
-// Submit exam session - simply mark as submitted
+// Submit exam session - mark as submitted and compute the result
 router.post("/:sessionId/submit", authenticate, async (req, res) => {
   try {
     const session = await ExamSession.findById(req.params.sessionId).populate({
@@ -428,26 +648,19 @@ router.post("/:sessionId/submit", authenticate, async (req, res) => {
         .json({ success: false, message: "Exam already submitted" });
     }
 
-    // Mark as submitted with current ISO timestamp
-    session.submittedAt = new Date().toISOString();
-
-    // Stop any running timer state
-    session.isRunning = false;
-    session.runAt = null;
-    session.pausedAt = null;
-
-    await session.save();
-
-    // Increment attempts used on assignment
-    const assignment = session.assignmentId;
-    assignment.attemptsUsed += 1;
-
-    await assignment.save();
+    // Mark as submitted, settle the clock and use up the attempt
+    const submitted = await submitSession(session._id);
+    if (!submitted) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Exam already submitted" });
+    }
 
     res.json({
       success: true,
       message: "Exam submitted successfully",
-      submittedAt: session.submittedAt,
+      submittedAt: submitted.submittedAt,
+      result: submitted.result,
     });
   } catch (error) {
     console.error("Submit exam error:", error);
@@ -2,6 +2,7 @@ const express = require("express");
 const { Exam, ExamAssignment, ExamSession } = require("../models");
 const { authenticate, adminOnly } = require("../middleware/auth");
 const { default: mongoose } = require("mongoose");
+const { getExamPopulate } = require("../utils/questionOrder");
 
 const router = express.Router();
 
@@ -15,12 +16,20 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
       categoryId,
       duration,
       questions,
+      blueprint,
+      preferUnseenQuestions,
+      shuffleQuestions,
+      shuffleOptions,
       defaultAttempts,
       defaultExpiry,
       reviewMode,
       opensAt,
       closesAt,
       passingPercentage,
+      scoringPolicy,
+      reviewOpens,
+      reviewExpiresAfterDays,
+      integrityThresholds,
     } = req.body;
 
     if (
@@ -67,10 +76,18 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
       categoryId,
       duration: duration * 60,
       questions: questions || [],
+      blueprint: blueprint || [],
+      preferUnseenQuestions,
+      shuffleQuestions,
+      shuffleOptions,
       defaultAttempts,
       defaultExpiry,
       passingPercentage,
+      scoringPolicy,
       reviewMode,
+      reviewOpens,
+      reviewExpiresAfterDays,
+      integrityThresholds,
       opensAt, // Store as Date object
       closesAt, // Store as Date object
     });
@@ -87,7 +104,10 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
 // Get all exams
 router.get("/", authenticate, async (req, res) => {
   try {
-    const exams = await Exam.find().populate(["categoryId", "questions"]);
+    // Generated practice exams belong to their student, not the catalogue
+    const exams = await Exam.find({ generatedFor: null }).populate(
+      getExamPopulate(req.user.role)
+    );
     res.json({ success: true, exams });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -97,10 +117,9 @@ router.get("/", authenticate, async (req, res) => {
 // Get exam by ID
 router.get("/:id", authenticate, async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id).populate([
-      "categoryId",
-      "questions",
-    ]);
+    const exam = await Exam.findById(req.params.id).populate(
+      getExamPopulate(req.user.role)
+    );
     if (!exam) {
       return res
         .status(404)
@@ -122,12 +141,20 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
       categoryId,
       duration,
       questions,
+      blueprint,
+      preferUnseenQuestions,
+      shuffleQuestions,
+      shuffleOptions,
       defaultAttempts,
       defaultExpiry,
       passingPercentage,
       reviewMode,
       opensAt,
       closesAt,
+      scoringPolicy,
+      reviewOpens,
+      reviewExpiresAfterDays,
+      integrityThresholds,
     } = req.body;
 
     const updateData = {};
@@ -137,17 +164,31 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
     if (categoryId) updateData.categoryId = categoryId;
     if (duration !== undefined) updateData.duration = duration;
     if (questions !== undefined) updateData.questions = questions;
+    if (blueprint !== undefined) updateData.blueprint = blueprint;
+    if (preferUnseenQuestions !== undefined)
+      updateData.preferUnseenQuestions = preferUnseenQuestions;
+    if (shuffleQuestions !== undefined)
+      updateData.shuffleQuestions = shuffleQuestions;
+    if (shuffleOptions !== undefined)
+      updateData.shuffleOptions = shuffleOptions;
     if (defaultAttempts !== undefined)
       updateData.defaultAttempts = defaultAttempts;
     if (defaultExpiry !== undefined) updateData.defaultExpiry = defaultExpiry;
     if (reviewMode) updateData.reviewMode = reviewMode;
+    if (reviewOpens !== undefined) updateData.reviewOpens = reviewOpens;
+    if (reviewExpiresAfterDays !== undefined)
+      updateData.reviewExpiresAfterDays = reviewExpiresAfterDays;
     if (opensAt !== undefined) updateData.opensAt = opensAt;
     if (closesAt !== undefined) updateData.closesAt = closesAt;
     if (passingPercentage !== undefined)
       updateData.passingPercentage = passingPercentage;
+    if (scoringPolicy !== undefined) updateData.scoringPolicy = scoringPolicy;
+    if (integrityThresholds !== undefined)
+      updateData.integrityThresholds = integrityThresholds;
 
     const exam = await Exam.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
+      runValidators: true,
     }).populate(["categoryId", "questions"]);
 
     if (!exam) {
@@ -2,17 +2,12 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const multer = require("multer");
-const { GridFSBucket } = require("mongodb");
 const { adminOnly } = require("../middleware/auth");
+const { getUploadsBucket } = require("../utils/gridfs");
 
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
 
-let bucket;
-mongoose.connection.once("open", () => {
-  bucket = new GridFSBucket(mongoose.connection.db, { bucketName: "uploads" });
-});
-
 // Upload file
 router.post("/upload", upload.single("file"), async (req, res) => {
   console.log("media");
@@ -21,9 +16,12 @@ router.post("/upload", upload.single("file"), async (req, res) => {
       return res.status(400).json({ message: "No file uploaded" });
     }
 
-    const uploadStream = bucket.openUploadStream(req.file.originalname, {
-      contentType: req.file.mimetype,
-    });
+    const uploadStream = getUploadsBucket().openUploadStream(
+      req.file.originalname,
+      {
+        contentType: req.file.mimetype,
+      }
+    );
 
     uploadStream.end(req.file.buffer);
 
@@ -52,8 +50,13 @@ router.post("/upload", upload.single("file"), async (req, res) => {
 router.get("/:id", async (req, res) => {
   try {
     const fileId = new mongoose.Types.ObjectId(req.params.id);
+    const bucket = getUploadsBucket();
 
-    const files = await bucket.find({ _id: fileId }).toArray();
+    // Certificate PDFs share the bucket but are only served through
+    // /api/certificates, which checks ownership and revocation
+    const files = await bucket
+      .find({ _id: fileId, "metadata.certificateNumber": { $exists: false } })
+      .toArray();
     if (!files || files.length === 0) {
       return res.status(404).json({ message: "File not found" });
     }
@@ -72,7 +75,7 @@ router.get("/:id", async (req, res) => {
 router.delete("/:id", adminOnly, async (req, res) => {
   try {
     const fileId = new mongoose.Types.ObjectId(req.params.id);
-    await bucket.delete(fileId);
+    await getUploadsBucket().delete(fileId);
     res.json({ message: "File deleted successfully" });
   } catch (error) {
     res
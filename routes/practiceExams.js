@@ -0,0 +1,105 @@
+const express = require("express");
+const { Exam, ExamAssignment } = require("../models");
+const { authenticate } = require("../middleware/auth");
+const {
+  analyzeWeakAreas,
+  createPracticeExam,
+} = require("../utils/practiceExams");
+const { getResultsByAssignment } = require("../utils/results");
+
+const router = express.Router();
+
+// Students see their own; admins pass ?studentId=
+const getStudentId = (req) =>
+  req.user.role === "admin" ? req.query.studentId : req.userId;
+
+// Accuracy by category and difficulty, weakest first
+router.get("/weak-areas", authenticate, async (req, res) => {
+  try {
+    const studentId = getStudentId(req);
+    if (!studentId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "studentId required" });
+    }
+
+    const { areas, missed } = await analyzeWeakAreas(studentId);
+    res.json({
+      success: true,
+      areas,
+      weakAreas: areas.filter((a) => a.weak),
+      missedQuestions: missed.size,
+    });
+  } catch (error) {
+    console.error("Get weak areas error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Generate a practice exam from the student's weak areas (student only)
+router.post("/", authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== "student") {
+      return res.status(403).json({
+        success: false,
+        message: "Practice exams are generated by students",
+      });
+    }
+
+    const { exam, assignment, areas, requested, questionCount } =
+      await createPracticeExam(req.user, req.body);
+    await assignment.populate("examId");
+
+    res.status(201).json({
+      success: true,
+      exam,
+      assignment,
+      areas,
+      requested,
+      questionCount,
+    });
+  } catch (error) {
+    console.error("Generate practice exam error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Practice exams generated for a student, with their results. Kept apart
+// from official assignments and results.
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const studentId = getStudentId(req);
+    if (!studentId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "studentId required" });
+    }
+
+    const exams = await Exam.find({ generatedFor: studentId }, { _id: 1 });
+    const assignments = await ExamAssignment.find({
+      examId: { $in: exams.map((e) => e._id) },
+    })
+      .populate("examId")
+      .sort({ createdAt: -1 });
+
+    const resultsByAssignment = await getResultsByAssignment(
+      assignments.map((a) => a._id)
+    );
+
+    res.json({
+      success: true,
+      practiceExams: assignments.map((assignment) => ({
+        ...assignment.toObject(),
+        results: resultsByAssignment.get(assignment._id.toString()) || [],
+      })),
+    });
+  } catch (error) {
+    console.error("Get practice exams error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,87 @@
 const express = require("express");
-const { Question, Exam } = require("../models");
+const { Question, QuestionRevision, Exam } = require("../models");
 const { authenticate, adminOnly } = require("../middleware/auth");
+const { getOptionValues, toBoolean } = require("../utils/grading");
+const {
+  ANSWER_KEY_FIELDS,
+  hasAnswerKeyChanged,
+  regradeQuestion,
+} = require("../utils/regrade");
+const {
+  changesSnapshot,
+  recordRevision,
+  ensureRevision,
+  diffRevisions,
+} = require("../utils/questionVersions");
 
 const router = express.Router();
 
+// An answer key entry may name an option by value or by index
+const isOptionKey = (values, key) =>
+  values.includes(String(key)) ||
+  (Number.isInteger(Number(key)) &&
+    Number(key) >= 0 &&
+    Number(key) < values.length);
+
+// Per-type checks on options and answer key; each returns an error message or null
+const questionValidators = {
+  mcq: (q) => {
+    const values = getOptionValues(q);
+    if (values.length < 2) return "MCQ needs at least two options";
+    if (!isOptionKey(values, q.correctAnswer))
+      return "correctAnswer must be one of the options";
+    return null;
+  },
+  multi: (q) => {
+    const values = getOptionValues(q);
+    if (values.length < 2)
+      return "Multi-select question needs at least two options";
+    if (!Array.isArray(q.correctAnswer) || q.correctAnswer.length === 0)
+      return "correctAnswer must be a non-empty array of options";
+    if (!q.correctAnswer.every((key) => isOptionKey(values, key)))
+      return "Every correctAnswer entry must be one of the options";
+    return null;
+  },
+  truefalse: (q) =>
+    toBoolean(q.correctAnswer) === null
+      ? "correctAnswer must be true or false"
+      : null,
+  short: (q) =>
+    isNaN(Number(q.correctAnswer)) ? "correctAnswer must be a number" : null,
+  matching: (q) => {
+    const items = (q.options || []).map(String);
+    const matches = (q.matchOptions || []).map(String);
+    if (items.length < 2)
+      return "Matching question needs at least two options to match";
+    if (matches.length < items.length)
+      return "matchOptions must have an entry for every option";
+    const key = q.correctAnswer;
+    if (!key || typeof key !== "object" || Array.isArray(key))
+      return "correctAnswer must map each option to a matchOption";
+    if (!items.every((item) => matches.includes(String(key[item]))))
+      return "correctAnswer must map each option to a matchOption";
+    return null;
+  },
+  ordering: (q) => {
+    const items = (q.options || []).map(String);
+    if (items.length < 2) return "Ordering question needs at least two items";
+    const key = Array.isArray(q.correctAnswer)
+      ? q.correctAnswer.map(String)
+      : [];
+    const sameItems = (a, b) =>
+      [...a].sort().join("\n") === [...b].sort().join("\n");
+    if (key.length !== items.length || !sameItems(key, items))
+      return "correctAnswer must list every option in the correct order";
+    return null;
+  },
+};
+
+const validateQuestion = (q) => {
+  const validator = questionValidators[q.type];
+  if (!validator) return `Unsupported question type: ${q.type}`;
+  return validator(q);
+};
+
 // Create question (admin only)
 router.post("/", authenticate, adminOnly, async (req, res) => {
   try {
@@ -20,6 +98,8 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
       minusT,
       options,
       optionsWithImgs,
+      matchOptions,
+      partialCredit,
       questionImg,
     } = req.body;
 
@@ -29,13 +109,19 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
       !type ||
       !marks ||
       !difficulty ||
-      !correctAnswer
+      correctAnswer === undefined ||
+      correctAnswer === null
     ) {
       return res
         .status(400)
         .json({ success: false, message: "Required fields missing" });
     }
 
+    const validationError = validateQuestion(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
     const question = new Question({
       text,
       categoryId,
@@ -49,10 +135,13 @@ router.post("/", authenticate, adminOnly, async (req, res) => {
       minusT,
       options,
       optionsWithImgs,
+      matchOptions,
+      partialCredit,
       questionImg,
     });
 
     await question.save();
+    await recordRevision(question, req.userId);
     await question.populate("categoryId");
 
     res.status(201).json({ success: true, question });
@@ -104,6 +193,8 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
       minusT,
       options,
       optionsWithImgs,
+      matchOptions,
+      partialCredit,
       questionImg,
     } = req.body;
 
@@ -123,6 +214,8 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
     if (options !== undefined) updateData.options = options;
     if (optionsWithImgs !== undefined)
       updateData.optionsWithImgs = optionsWithImgs;
+    if (matchOptions !== undefined) updateData.matchOptions = matchOptions;
+    if (partialCredit !== undefined) updateData.partialCredit = partialCredit;
     if (questionImg !== undefined) updateData.questionImg = questionImg;
 
     // Prevent empty updates
@@ -132,9 +225,33 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
         .json({ success: false, message: "No fields provided to update" });
     }
 
+    const existing = await Question.findById(req.params.id);
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+
+    // Validate the question as it will look after the update
+    const validationError = validateQuestion({
+      ...existing.toObject(),
+      ...updateData,
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const keyChanged = hasAnswerKeyChanged(existing, updateData);
+    const contentChanged = changesSnapshot(existing, updateData);
+
+    // Edits never touch a recorded version: keep the current one, then save
+    // the update as the next version. An edit that changes nothing keeps the
+    // version it has.
+    if (contentChanged) await ensureRevision(existing);
+
     const question = await Question.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      contentChanged ? { ...updateData, $inc: { version: 1 } } : updateData,
       { new: true, runValidators: true }
     ).populate("categoryId");
 
@@ -144,7 +261,143 @@ router.put("/:id", authenticate, adminOnly, async (req, res) => {
         .json({ success: false, message: "Question not found" });
     }
 
-    res.json({ success: true, question });
+    if (contentChanged) await recordRevision(question, req.userId);
+
+    // Answers already marked against the old key get re-marked
+    // (pass regrade: false to skip)
+    const regrade =
+      keyChanged && req.body.regrade !== false
+        ? await regradeQuestion(question)
+        : null;
+
+    res.json({ success: true, question, regrade });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List a question's versions (admin only)
+router.get("/:id/versions", authenticate, adminOnly, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+    await ensureRevision(question);
+
+    const versions = await QuestionRevision.find({ questionId: question._id })
+      .sort({ version: 1 })
+      .populate("createdBy", "name email");
+
+    res.json({ success: true, currentVersion: question.version, versions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Diff two versions of a question (admin only)
+// Query: ?from=1&to=2 (to defaults to the current version)
+router.get("/:id/versions/diff", authenticate, adminOnly, async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+    await ensureRevision(question);
+
+    const from = Number(req.query.from);
+    const to = req.query.to ? Number(req.query.to) : question.version;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      QuestionRevision.findOne({ questionId: question._id, version: from }),
+      QuestionRevision.findOne({ questionId: question._id, version: to }),
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Version not found" });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      changes: diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get one version of a question (admin only)
+router.get(
+  "/:id/versions/:version",
+  authenticate,
+  adminOnly,
+  async (req, res) => {
+    try {
+      const revision = await QuestionRevision.findOne({
+        questionId: req.params.id,
+        version: Number(req.params.version),
+      }).populate("createdBy", "name email");
+
+      if (!revision) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Version not found" });
+      }
+
+      res.json({ success: true, revision });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Re-grade all answers to a question (admin only)
+// Body: { dryRun, ...proposed answer key fields }. A dry run may try out a
+// proposed key and lists whose grades and pass/fail would change; committing
+// uses the saved key (change it with PUT, which regrades by itself).
+router.post("/:id/regrade", authenticate, adminOnly, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+
+    const proposed = {};
+    for (const field of ANSWER_KEY_FIELDS) {
+      if (req.body[field] !== undefined) proposed[field] = req.body[field];
+    }
+
+    if (Object.keys(proposed).length > 0 && !dryRun) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Proposed answer keys are for dry runs; save them with PUT /api/questions/:id",
+      });
+    }
+
+    const candidate = {
+      ...question.toObject({ transform: false }),
+      ...proposed,
+    };
+    const validationError = validateQuestion(candidate);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const regrade = await regradeQuestion(candidate, { dryRun });
+
+    res.json({ success: true, regrade });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
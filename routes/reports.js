@@ -0,0 +1,200 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { Exam } = require("../models");
+const { authenticate, adminOnly } = require("../middleware/auth");
+const { buildItemAnalysis } = require("../utils/itemAnalysis");
+const { buildExamStatistics } = require("../utils/examStatistics");
+const { buildTranscript } = require("../utils/transcript");
+const {
+  getExportFilter,
+  loadExportContext,
+  attemptHeader,
+  attemptRows,
+  answerHeader,
+  answerRows,
+  streamCsv,
+  streamXlsx,
+} = require("../utils/resultsExport");
+
+const router = express.Router();
+
+// Item analysis for every question in the bank (admin only).
+// Query: categoryId, examId, from, to (submission dates), flagged=true
+router.get("/item-analysis", authenticate, adminOnly, async (req, res) => {
+  try {
+    const { categoryId, examId, from, to, flagged } = req.query;
+    const report = await buildItemAnalysis({ categoryId, examId, from, to });
+
+    const items =
+      flagged === "true"
+        ? report.items.filter((item) => item.flags.length > 0)
+        : report.items;
+
+    res.json({
+      success: true,
+      filters: {
+        categoryId: categoryId || null,
+        examId: examId || null,
+        from: from || null,
+        to: to || null,
+      },
+      sessionsAnalysed: report.sessionsAnalysed,
+      groupSize: report.groupSize,
+      items,
+    });
+  } catch (error) {
+    console.error("Item analysis error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Score statistics for one exam's submitted attempts (admin only).
+// Query: bins (histogram buckets over 0-100%, default 10)
+router.get(
+  "/exams/:examId/statistics",
+  authenticate,
+  adminOnly,
+  async (req, res) => {
+    try {
+      const { examId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(examId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid examId" });
+      }
+
+      const bins = Number(req.query.bins || 10);
+      if (!Number.isInteger(bins) || bins < 1 || bins > 100) {
+        return res
+          .status(400)
+          .json({ success: false, message: "bins must be between 1 and 100" });
+      }
+
+      const exam = await Exam.findById(examId, {
+        name: 1,
+        questions: 1,
+        blueprint: 1,
+        passingPercentage: 1,
+      });
+      if (!exam) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Exam not found" });
+      }
+
+      const statistics = await buildExamStatistics(exam, { bins });
+      res.json({
+        success: true,
+        exam: { id: exam._id, name: exam.name },
+        statistics,
+      });
+    } catch (error) {
+      console.error("Exam statistics error:", error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+);
+
+// Progress transcript for a student: every attempt, category mastery over
+// time and open assignments. Students may only fetch their own.
+router.get(
+  "/students/:studentId/transcript",
+  authenticate,
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      if (req.user.role !== "admin" && studentId !== req.userId) {
+        return res
+          .status(403)
+          .json({ success: false, message: "Access denied" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid studentId" });
+      }
+
+      const transcript = await buildTranscript(studentId);
+      res.json({ success: true, ...transcript });
+    } catch (error) {
+      console.error("Transcript error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Export results as CSV or XLSX, one row per submitted attempt (admin only).
+// Query: examId | bulkAssignmentId | studentId, format=csv|xlsx,
+// answers=true (XLSX: adds an Answers sheet; CSV: exports answers instead)
+router.get("/export", authenticate, adminOnly, async (req, res) => {
+  try {
+    const { examId, bulkAssignmentId, studentId } = req.query;
+    const format = req.query.format || "csv";
+    if (!["csv", "xlsx"].includes(format)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "format must be csv or xlsx" });
+    }
+    const withAnswers = req.query.answers === "true";
+
+    const filter = getExportFilter({ examId, bulkAssignmentId, studentId });
+    const context = await loadExportContext(filter);
+
+    const date = new Date().toISOString().slice(0, 10);
+    const scope = Object.values(filter)[0];
+    const name = `results-${scope}-${date}`;
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${name}${withAnswers ? "-answers" : ""}.csv"`
+      );
+      return withAnswers
+        ? await streamCsv(res, answerHeader(), answerRows(context))
+        : await streamCsv(
+            res,
+            attemptHeader(context.categories),
+            attemptRows(context)
+          );
+    }
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+
+    const sheets = [
+      {
+        name: "Attempts",
+        header: attemptHeader(context.categories),
+        rows: attemptRows(context),
+      },
+    ];
+    if (withAnswers) {
+      sheets.push({
+        name: "Answers",
+        header: answerHeader(),
+        rows: answerRows(context),
+      });
+    }
+    await streamXlsx(res, sheets);
+  } catch (error) {
+    console.error("Export error:", error);
+    // Part of the file may already be on its way; all we can do is cut it
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
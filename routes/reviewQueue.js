@@ -0,0 +1,135 @@
+const express = require("express");
+const { ReviewItem, Question } = require("../models");
+const { authenticate } = require("../middleware/auth");
+const { gradeAnswer, toDisplayedAnswer } = require("../utils/grading");
+const {
+  getStandaloneOptionOrder,
+  applyOptionOrder,
+} = require("../utils/questionOrder");
+const {
+  applySm2,
+  toQuality,
+  backfillReviewQueue,
+  endOfToday,
+} = require("../utils/reviewQueue");
+
+const router = express.Router();
+
+// The review queue is the student's own
+const studentOnly = (req, res, next) => {
+  if (req.user.role !== "student") {
+    return res
+      .status(403)
+      .json({ success: false, message: "Student access required" });
+  }
+  next();
+};
+
+// Item as the student sees it: the question with its options in the item's
+// order, and the order itself left out since it maps back to the answer
+const toServedItem = (item) => {
+  const { optionOrder, ...plain } = item.toObject();
+  return {
+    ...plain,
+    questionId: applyOptionOrder(item.questionId, optionOrder),
+  };
+};
+
+// Questions due for review today, most overdue first
+router.get("/due", authenticate, studentOnly, async (req, res) => {
+  try {
+    // First visit only: misses from before the queue existed. Later ones
+    // are queued when each session is submitted.
+    if (!req.user.reviewQueueBackfilledAt) {
+      await backfillReviewQueue(req.userId);
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const dueFilter = { studentId: req.userId, dueAt: { $lte: endOfToday() } };
+
+    const [items, dueCount, totalCount] = await Promise.all([
+      ReviewItem.find(dueFilter)
+        .sort({ dueAt: 1 })
+        .limit(limit)
+        .populate({ path: "questionId", populate: { path: "categoryId" } }),
+      ReviewItem.countDocuments(dueFilter),
+      ReviewItem.countDocuments({ studentId: req.userId }),
+    ]);
+
+    // Questions deleted from the bank drop out of the queue
+    const served = items.filter((item) => item.questionId);
+
+    // Ordering and matching questions would give their answer away in
+    // authoring order; answers are graded against the same order
+    for (const item of served) {
+      const order = getStandaloneOptionOrder(item.questionId, item.optionOrder);
+      if (order && order !== item.optionOrder) {
+        item.optionOrder = order;
+        await item.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      items: served.map(toServedItem),
+      dueCount,
+      totalCount,
+    });
+  } catch (error) {
+    console.error("Get due reviews error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Answer a review item: graded like an exam answer, then rescheduled.
+// Body: { submittedValue, rating? } where rating (3 hard, 4 good, 5 easy)
+// refines a correct answer.
+router.post("/:id/answer", authenticate, studentOnly, async (req, res) => {
+  try {
+    const { submittedValue, rating } = req.body;
+    if (submittedValue === undefined) {
+      return res
+        .status(400)
+        .json({ success: false, message: "submittedValue required" });
+    }
+
+    const item = await ReviewItem.findOne({
+      _id: req.params.id,
+      studentId: req.userId,
+    });
+    if (!item) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Review item not found" });
+    }
+
+    const question = await Question.findById(item.questionId);
+    if (!question) {
+      await item.deleteOne();
+      return res
+        .status(404)
+        .json({ success: false, message: "Question no longer exists" });
+    }
+
+    const optionOrder = item.optionOrder?.length ? [...item.optionOrder] : null;
+    const graded = gradeAnswer(question, submittedValue, { optionOrder });
+    const quality = toQuality(graded, rating);
+    item.set(applySm2(item, quality));
+    item.optionOrder = undefined; // shuffled afresh next time it's due
+    await item.save();
+
+    res.json({
+      success: true,
+      isCorrect: graded.isCorrect,
+      quality,
+      correctAnswer: toDisplayedAnswer(question, optionOrder),
+      feedback: question.feedback,
+      item,
+    });
+  } catch (error) {
+    console.error("Answer review error:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
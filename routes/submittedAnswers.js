@@ -1,168 +1,35 @@
 const express = require("express");
 const { SubmittedAnswer, ExamSession, Question } = require("../models");
 const { authenticate, adminOnly } = require("../middleware/auth");
+const { getAwardedMarks } = require("../utils/grading");
+const {
+  getScoringPolicy,
+  getQuestionValue,
+  scoreAnswer,
+} = require("../utils/scoring");
+const { recalculateSession } = require("../utils/results");
+const { getReviewAccess } = require("../utils/reviewAccess");
+const {
+  resolvePinnedQuestions,
+  serveQuestion,
+} = require("../utils/questionVersions");
+const { getSessionQuestions } = require("../utils/questionOrder");
+const {
+  submitAnswer,
+  buildAnswerFeedback,
+} = require("../utils/answerSubmission");
 
 const router = express.Router();
 
 router.post("/", authenticate, async (req, res) => {
   try {
-    const { sessionId, questionId, submittedValue } = req.body;
-
-    if (!sessionId || !questionId || submittedValue === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: "sessionId, questionId, and submittedValue required",
-      });
-    }
-
-    // Get session with populated data
-    const session = await ExamSession.findById(sessionId).populate({
-      path: "assignmentId",
-      populate: {
-        path: "examId",
-        populate: [
-          { path: "categoryId" },
-          { path: "questions", populate: { path: "categoryId" } },
-        ],
-      },
-    });
-
-    if (!session) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Session not found" });
-    }
-
-    // Check ownership
-    const assignment = session.assignmentId;
-    if (
-      req.user.role === "student" &&
-      assignment.studentId.toString() !== req.userId
-    ) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
-
-    // Prevent submission after exam is fully submitted
-    if (session.submittedAt) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Exam already submitted" });
-    }
-
-    // Get question
-    const question = await Question.findById(questionId).populate("categoryId");
-    if (!question) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Question not found" });
-    }
-
-    // Check if question belongs to the exam
-    const examQuestionIds = assignment.examId.questions.map((q) =>
-      q._id.toString()
-    );
-    if (!examQuestionIds.includes(questionId)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Question not part of this exam" });
-    }
-
-    // Determine correctness
-    let isCorrect = false;
-    if (question.type === "mcq") {
-      isCorrect = String(submittedValue) === String(question.correctAnswer);
-    } else {
-      // Numerical short answer with tolerance
-      const sub = Number(submittedValue);
-      const correct = Number(question.correctAnswer);
-      const plusT = Number(question.plusT) || 0;
-      const minusT = Number(question.minusT) || 0;
-
-      if (!isNaN(sub) && !isNaN(correct)) {
-        isCorrect = sub >= correct - minusT && sub <= correct + plusT;
-      }
-    }
-
-    // Grade change based on correctness
-    const gradeChange = isCorrect ? question.marks : 0;
-
-    // Find existing answer
-    let answer = await SubmittedAnswer.findOne({ sessionId, questionId });
-    let previousGradeContribution = 0;
-    if (answer) {
-      // === UPDATE EXISTING ANSWER ===
-      const previousCorrect = answer.isCorrect;
-      previousGradeContribution = previousCorrect ? question.marks : 0;
-
-      // Update fields
-      answer.submittedValue = submittedValue;
-      answer.isCorrect = isCorrect;
-      answer.answeredAt = Date.now(); // optional: update timestamp
-
-      await answer.save();
-
-      // Adjust session grade if correctness changed
-      if (previousCorrect && !isCorrect) {
-        session.grade -= previousGradeContribution; // was correct → now wrong
-      } else if (!previousCorrect && isCorrect) {
-        session.grade += gradeChange; // was wrong → now correct
-      }
-      // if both same (correct→correct or wrong→wrong), no grade change needed
-    } else {
-      // === CREATE NEW ANSWER ===
-      answer = new SubmittedAnswer({
-        sessionId,
-        questionId,
-        submittedValue,
-        isCorrect,
-      });
-      await answer.save();
-
-      session.answeredQuestions.push(answer._id);
-      session.grade += gradeChange; // only add when first answered
-    }
-
-    // Always update last activity
-    session.lastAnsweredAt = new Date();
-    await session.save();
-
-    // Populate answer for response
-    await answer.populate(["sessionId", "questionId"]);
-
-    // Get answered questions for next logic
-    const allAnswers = await SubmittedAnswer.find({ sessionId });
-    const answeredQuestionIds = allAnswers.map((a) => a.questionId.toString());
-
-    const questions = assignment.examId.questions;
-    const nextQuestionIndex = questions.findIndex(
-      (q) => !answeredQuestionIds.includes(q._id.toString())
-    );
-
-    const nextQuestion =
-      nextQuestionIndex !== -1 ? questions[nextQuestionIndex] : null;
-    const isLastQuestion = nextQuestionIndex === -1;
-
-    res.status(answer.isNew ? 201 : 200).json({
-      success: true,
-      answer,
-      isCorrect,
-      gradeChange: answer.isNew
-        ? gradeChange
-        : isCorrect
-        ? gradeChange
-        : -previousGradeContribution || 0,
-      currentGrade: session.grade,
-      nextQuestion,
-      nextQuestionIndex: isLastQuestion ? null : nextQuestionIndex,
-      totalQuestions: questions.length,
-      answeredCount: allAnswers.length,
-      isLastQuestion,
-      examCompleted: isLastQuestion,
-      updated: !answer.isNew, // helpful flag for frontend
-    });
+    const { status, body } = await submitAnswer(req.user, req.body);
+    res.status(status).json({ success: true, ...body });
   } catch (error) {
     console.error("Error submitting answer:", error);
-    res.status(500).json({ success: false, message: error.message });
+    res
+      .status(error.status || 500)
+      .json({ success: false, message: error.message });
   }
 });
 
@@ -172,16 +39,18 @@ router.get("/session/:sessionId/last", authenticate, async (req, res) => {
     const { sessionId } = req.params;
 
     // 1. Find the session and populate everything we need
-    const session = await ExamSession.findById(sessionId).populate({
-      path: "assignmentId",
-      populate: {
-        path: "examId",
-        populate: [
-          { path: "categoryId" },
-          { path: "questions", populate: { path: "categoryId" } },
-        ],
-      },
-    });
+    const session = await ExamSession.findById(sessionId)
+      .populate({
+        path: "assignmentId",
+        populate: {
+          path: "examId",
+          populate: [
+            { path: "categoryId" },
+            { path: "questions", populate: { path: "categoryId" } },
+          ],
+        },
+      })
+      .populate({ path: "questionOrder", populate: { path: "categoryId" } });
 
     if (!session) {
       return res
@@ -212,8 +81,8 @@ router.get("/session/:sessionId/last", authenticate, async (req, res) => {
 
     if (!lastAnswer) {
       // No answers yet → return info about the first question
-      const questions = assignment.examId.questions;
-      const nextQuestion = questions[0] || null;
+      const questions = getSessionQuestions(session, assignment.examId);
+      const nextQuestion = await serveQuestion(session, questions[0]);
 
       return res.json({
         success: true,
@@ -236,7 +105,7 @@ router.get("/session/:sessionId/last", authenticate, async (req, res) => {
       a.questionId._id.toString()
     );
 
-    const questions = assignment.examId.questions;
+    const questions = getSessionQuestions(session, assignment.examId);
     const nextQuestionIndex = questions.findIndex(
       (q) => !answeredQuestionIds.includes(q._id.toString())
     );
@@ -245,18 +114,27 @@ router.get("/session/:sessionId/last", authenticate, async (req, res) => {
     let isLastQuestion = false;
 
     if (nextQuestionIndex !== -1) {
-      nextQuestion = questions[nextQuestionIndex];
+      nextQuestion = await serveQuestion(session, questions[nextQuestionIndex]);
     } else {
       isLastQuestion = true;
     }
 
     // 6. Response mirrors the create endpoint exactly
-    res.json({
-      success: true,
+    const feedback = buildAnswerFeedback({
+      session,
+      exam: assignment.examId,
+      role: req.user.role,
       answer: lastAnswer,
-      isCorrect: lastAnswer.isCorrect,
-      gradeChange: lastAnswer.isCorrect ? lastAnswer.questionId.marks : 0,
+      question: lastAnswer.questionId,
       currentGrade: session.grade,
+    });
+
+    res.json({
+      success: true,
+      ...feedback,
+      ...(feedback.acknowledged
+        ? {}
+        : { gradeChange: getAwardedMarks(lastAnswer, lastAnswer.questionId) }),
       nextQuestion,
       nextQuestionIndex: nextQuestionIndex !== -1 ? nextQuestionIndex : null,
       totalQuestions: questions.length,
@@ -299,14 +177,24 @@ router.get(
 
       // Students can only access if:
       // 1. It's their own session AND
-      // 2. Review is allowed on the assignment
-      if (!isAdmin && (!isOwner || !session.assignmentId.isReviewAllowed)) {
+      // 2. Review is allowed and its window is open
+      const access = getReviewAccess(
+        session,
+        session.assignmentId,
+        session.assignmentId.examId
+      );
+      if (!isAdmin && (!isOwner || !access.allowed)) {
         return res.status(403).json({
           success: false,
-          message: "You are not allowed to review this session.",
+          message: isOwner
+            ? access.reason
+            : "You are not allowed to review this session.",
         });
       }
 
+      // Answer keys only for a finished attempt
+      res.locals.revealAnswers = Boolean(session.submittedAt);
+
       // === Fetch Answers ===
       const answers = await SubmittedAnswer.find({
         sessionId: req.params.sessionId,
@@ -332,7 +220,40 @@ router.get(
           populate: { path: "categoryId" },
         });
 
-      res.json({ success: true, answers });
+      // Show each question as the student saw it (pinned version)
+      const pinnedQuestions = await resolvePinnedQuestions(
+        session,
+        answers.map((a) => a.questionId).filter(Boolean)
+      );
+      const pinnedById = new Map(
+        pinnedQuestions.map((q) => [q._id.toString(), q])
+      );
+
+      const visibleAnswers = answers.map((answer) => {
+        const plain = answer.toObject();
+        if (answer.questionId) {
+          plain.questionId = pinnedById
+            .get(answer.questionId._id.toString())
+            .toObject();
+        }
+        if (isAdmin) return plain;
+
+        // Students see that a mark was adjusted and why, not who adjusted it
+        const { overrideHistory, ...rest } = plain;
+        const lastOverride = overrideHistory[overrideHistory.length - 1];
+        return {
+          ...rest,
+          manualAdjustment:
+            answer.isManuallyGraded && lastOverride
+              ? {
+                  reason: lastOverride.reason,
+                  changedAt: lastOverride.changedAt,
+                }
+              : null,
+        };
+      });
+
+      res.json({ success: true, answers: visibleAnswers });
     } catch (error) {
       console.error("Error fetching session answers:", error);
       res.status(500).json({ success: false, message: "Server error" });
@@ -340,6 +261,100 @@ router.get(
   }
 );
 
+// Override an answer's correctness and/or marks (admin only)
+// Body: { isCorrect?, awardedMarks?, reason }
+router.put("/:id/override", authenticate, adminOnly, async (req, res) => {
+  try {
+    const { isCorrect, awardedMarks, reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A reason is required" });
+    }
+    if (isCorrect === undefined && awardedMarks === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "isCorrect or awardedMarks required",
+      });
+    }
+    if (isCorrect !== undefined && typeof isCorrect !== "boolean") {
+      return res
+        .status(400)
+        .json({ success: false, message: "isCorrect must be a boolean" });
+    }
+
+    const answer = await SubmittedAnswer.findById(req.params.id).populate({
+      path: "sessionId",
+      populate: { path: "assignmentId", populate: { path: "examId" } },
+    });
+    if (!answer) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Answer not found" });
+    }
+
+    const question = await Question.findById(answer.questionId);
+    if (!question) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+
+    const policy = getScoringPolicy(answer.sessionId.assignmentId.examId);
+    const maxMarks = getQuestionValue(policy, question);
+    // No lower than a wrong answer scores under the exam's penalty
+    const minMarks = scoreAnswer(policy, question, 0);
+
+    // Marks follow the verdict unless given explicitly
+    let newMarks = awardedMarks;
+    if (newMarks === undefined) {
+      newMarks = isCorrect ? maxMarks : minMarks;
+    }
+    newMarks = Number(newMarks);
+    if (isNaN(newMarks) || newMarks < minMarks || newMarks > maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `awardedMarks must be a number from ${minMarks} to ${maxMarks}`,
+      });
+    }
+
+    const newIsCorrect = isCorrect !== undefined ? isCorrect : answer.isCorrect;
+
+    answer.overrideHistory.push({
+      changedBy: req.userId,
+      changedAt: new Date().toISOString(),
+      reason: String(reason).trim(),
+      previousIsCorrect: answer.isCorrect,
+      previousAwardedMarks: getAwardedMarks(answer, question),
+      isCorrect: newIsCorrect,
+      awardedMarks: newMarks,
+    });
+    answer.isCorrect = newIsCorrect;
+    answer.awardedMarks = newMarks;
+    answer.isManuallyGraded = true;
+    await answer.save();
+
+    // Grade, and result for submitted sessions, follow the new mark
+    const session = await recalculateSession(answer.sessionId._id);
+
+    await answer.populate([
+      { path: "questionId" },
+      { path: "overrideHistory.changedBy", select: "name email" },
+    ]);
+
+    res.json({
+      success: true,
+      answer,
+      grade: session.grade,
+      result: session.result,
+    });
+  } catch (error) {
+    console.error("Error overriding answer:", error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get all submitted answers (admin only)
 router.get("/", authenticate, adminOnly, async (req, res) => {
   try {
@@ -2,19 +2,35 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const { Server } = require("ws"); // <-- WebSocket server
-const { ExamSession } = require("./models");
+const { startExamTimer } = require("./utils/examTimer");
+const { reconcileRunningSessions } = require("./utils/reconcileSessions");
+const { serializeResponse } = require("./middleware/serialize");
+const { attachSockets, closeSockets } = require("./sockets");
+const { isSessionConnected } = require("./sockets/examSocket");
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(serializeResponse);
+
+let examTimer = null;
 
 // Database connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(async () => {
+    console.log("MongoDB connected successfully");
+    // Settle sessions left running by the last process before the timer
+    // judges them by a stale runAt
+    await reconcileRunningSessions({
+      reason: "startup",
+      isConnected: isSessionConnected,
+    });
+    // Server owns the clock for timed exams
+    examTimer = startExamTimer();
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
     process.exit(1);
@@ -30,6 +46,10 @@ app.use("/api/exam-assignments", require("./routes/examAssignments"));
 app.use("/api/exam-sessions", require("./routes/examSessions"));
 app.use("/api/submitted-answers", require("./routes/submittedAnswers"));
 app.use("/api/media", require("./routes/media"));
+app.use("/api/practice-exams", require("./routes/practiceExams"));
+app.use("/api/review-queue", require("./routes/reviewQueue"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/certificates", require("./routes/certificates"));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -48,110 +68,38 @@ const server = app.listen(PORT, () => {
 // ===========================
 // WebSocket Server Setup
 // ===========================
-const wss = new Server({ server, path: "/exam-socket" });
-
-wss.on("connection", async (ws, req) => {
-  // Parse sessionId from query params: ?sessionId=abc123
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const sessionId = url.searchParams.get("sessionId");
-
-  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
-    console.log("Invalid or missing sessionId → closing connection");
-    ws.close(1008, "Invalid sessionId");
-    return;
-  }
-
-  try {
-    const session = await ExamSession.findById(sessionId);
-    if (!session) {
-      ws.close(1008, "Session not found");
-      return;
-    }
-
-    // Attach session to ws object for later use on disconnect
-    ws.examSessionId = sessionId;
-
-    // === ON CONNECT: Start the exam session ===
-    const now = new Date().toISOString();
-
-    await ExamSession.findByIdAndUpdate(
-      sessionId,
-      {
-        $set: {
-          isRunning: true,
-          runAt: now,
-          pausedAt: null, // clear previous pause
-        },
-      },
-      { new: true }
-    );
-
-    console.log(`Exam session ${sessionId} STARTED at ${now}`);
-
-    // // === 10-SECOND INTERVAL: Update totalTimeConsumed ===
-    // const interval = setInterval(async () => {
-    //   try {
-    //     const currentSession = await ExamSession.findById(sessionId);
-    //     if (!currentSession || !currentSession.isRunning) {
-    //       clearInterval(interval);
-    //       return;
-    //     }
-
-    //     const totalTimeConsumed = currentSession.totalTimeConsumed + 10; // add 10 seconds
-
-    //     await ExamSession.findByIdAndUpdate(
-    //       sessionId,
-    //       {
-    //         $set: {
-    //           totalTimeConsumed,
-    //           // optional: update a "lastSeen" field for monitoring
-    //         },
-    //       },
-    //       { upsert: false }
-    //     );
-    //   } catch (err) {
-    //     console.error("Error in timer interval:", err);
-    //   }
-    // }, 10_000); // every 10 seconds
+const sockets = attachSockets(server);
 
-    // === ON DISCONNECT ===
-    ws.on("close", async () => {
-      try {
-        const session = await ExamSession.findById(sessionId);
-        if (!session) return;
-
-        const now = new Date();
-        const runAtTime = session.runAt ? new Date(session.runAt) : now;
-
-        // Time spent in this active run (in seconds)
-        const timeInThisRun = Math.floor((now - runAtTime) / 1000);
+console.log(
+  "WebSocket server running on ws://localhost:" + PORT + "/exam-socket"
+);
 
-        // Add to previous consumed time
-        const totalTimeConsumed = session.totalTimeConsumed + timeInThisRun;
+// ===========================
+// Graceful shutdown
+// ===========================
+// Close sockets first so each open session is paused by its own close
+// handler, then settle anything still marked running
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down`);
 
-        await ExamSession.findByIdAndUpdate(sessionId, {
-          $set: {
-            isRunning: false,
-            pausedAt: now.toISOString(),
-            totalTimeConsumed,
-            // runAt remains the same (for resume logic)
-          },
-        });
+  // Don't hang forever on a stuck connection
+  setTimeout(() => process.exit(1), 15000).unref();
 
-        console.log(
-          `Exam session ${sessionId} PAUSED. ` +
-            `This run: ${timeInThisRun}s, Total: ${totalTimeConsumed}s`
-        );
-      } catch (err) {
-        console.error("Error on WebSocket disconnect:", err);
-      }
-    });
+  try {
+    clearInterval(examTimer);
+    server.close();
+    await closeSockets(sockets);
+    await reconcileRunningSessions({ reason: "shutdown" });
+    await mongoose.connection.close();
+    process.exit(0);
   } catch (err) {
-    console.error("WebSocket connection error:", err);
-    ws.close(1011, "Server error");
+    console.error("Error during shutdown:", err);
+    process.exit(1);
   }
-});
+};
 
-console.log(
-  "WebSocket server running on ws://localhost:" + PORT + "/exam-socket"
-);
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,40 @@
+const http = require("http");
+const { getUserFromToken } = require("../middleware/auth");
+const { httpError } = require("../utils/httpError");
+
+// Refuse an upgrade with a plain HTTP response before any socket exists
+const rejectUpgrade = (socket, status, message) => {
+  const body = JSON.stringify({ success: false, message });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      "Connection: close\r\n" +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n` +
+      body
+  );
+  socket.destroy();
+};
+
+// Token from the Authorization header, or ?token= for browsers, which
+// can't set headers on a WebSocket
+const getToken = (req, url) =>
+  req.headers.authorization?.replace("Bearer ", "") ||
+  url.searchParams.get("token");
+
+// Same JWT check as the authenticate middleware, for an upgrade request
+const authenticateUpgrade = async (req, url) => {
+  const token = getToken(req, url);
+  if (!token) throw httpError(401, "Authentication required");
+
+  let user;
+  try {
+    user = await getUserFromToken(token);
+  } catch (err) {
+    throw httpError(401, "Invalid token");
+  }
+  if (!user) throw httpError(401, "User not found");
+
+  return user;
+};
+
+module.exports = { rejectUpgrade, authenticateUpgrade };
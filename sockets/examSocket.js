@@ -0,0 +1,384 @@
+const mongoose = require("mongoose");
+const { ExamSession } = require("../models");
+const { authenticateUpgrade } = require("./auth");
+const { submitSession } = require("../utils/submitSession");
+const { viewQuestion } = require("../utils/questionTime");
+const { pauseSession } = require("../utils/pauseSession");
+const { submitAnswer } = require("../utils/answerSubmission");
+const { toggleBookmark } = require("../utils/bookmarks");
+const { serialize } = require("../utils/serialize");
+const {
+  CLIENT_EVENT_TYPES,
+  getClientInfo,
+  recordSessionEvent,
+} = require("../utils/integrity");
+const { httpError } = require("../utils/httpError");
+const { notifySessionChange } = require("../utils/sessionActivity");
+
+// One live socket per session. A second connection either takes over (the
+// old one is told and closed) or is refused, per EXAM_SOCKET_CONCURRENCY.
+const CONCURRENCY =
+  process.env.EXAM_SOCKET_CONCURRENCY === "reject" ? "reject" : "takeover";
+// Clients that miss a ping for a whole interval are treated as gone
+const HEARTBEAT_INTERVAL =
+  (Number(process.env.EXAM_SOCKET_HEARTBEAT_SECONDS) || 15) * 1000;
+
+const activeSockets = new Map();
+
+const isSessionConnected = (sessionId) => activeSockets.has(String(sessionId));
+
+// Only the student the session belongs to may connect to it
+const authorize = async (req, url) => {
+  const user = await authenticateUpgrade(req, url);
+
+  const sessionId = url.searchParams.get("sessionId");
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw httpError(400, "Invalid sessionId");
+  }
+
+  const session = await ExamSession.findById(sessionId).populate({
+    path: "assignmentId",
+    populate: { path: "examId", select: "type duration" },
+  });
+  if (!session) throw httpError(404, "Session not found");
+
+  if (session.assignmentId.studentId.toString() !== user._id.toString()) {
+    throw httpError(403, "Access denied");
+  }
+  if (session.submittedAt) throw httpError(400, "Exam already submitted");
+
+  if (CONCURRENCY === "reject" && activeSockets.has(sessionId)) {
+    throw httpError(409, "Session is already open in another connection");
+  }
+
+  return { user, session };
+};
+
+// Every server message is { type, requestId?, ...payload }, serialized the
+// same way as REST responses for the connected user's role
+const send = (ws, type, payload = {}) => {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(
+    JSON.stringify({ type, ...serialize(payload, { role: ws.user.role }) })
+  );
+};
+
+// Client message handlers, keyed by message type. Each resolves to the
+// [type, payload] of its reply; thrown httpErrors become "error" replies.
+const handlers = {
+  heartbeat: async (ctx) => {
+    markAlive(ctx.ws);
+    return ["heartbeat_ack", { serverTime: Date.now() }];
+  },
+
+  clock_sync: async (ctx, message) => [
+    "clock",
+    {
+      clientTime: message.clientTime ?? null,
+      serverTime: Date.now(),
+      remainingTime: ctx.getRemainingTime(),
+    },
+  ],
+
+  view_question: async (ctx, message) => {
+    await viewQuestion(ctx.sessionId, message.questionId);
+    return ["viewing", { questionId: message.questionId }];
+  },
+
+  answer: async (ctx, message) => {
+    const { body } = await submitAnswer(ctx.user, {
+      sessionId: ctx.sessionId,
+      questionId: message.questionId,
+      submittedValue: message.submittedValue,
+    });
+    return ["answer_result", body];
+  },
+
+  bookmark: async (ctx, message) => [
+    "bookmark_result",
+    await toggleBookmark(ctx.user, ctx.sessionId, message.questionId),
+  ],
+
+  // { event: "blur" | "fullscreen_exit" | "copy" | ..., details? }
+  integrity_event: async (ctx, message) => {
+    if (!CLIENT_EVENT_TYPES.includes(message.event)) {
+      throw httpError(400, "Unknown integrity event");
+    }
+
+    const event = await recordSessionEvent(ctx.sessionId, {
+      type: message.event,
+      source: "client",
+      ...ctx.client,
+      details: message.details,
+    });
+    return ["event_logged", { eventId: event._id, event: event.type }];
+  },
+
+  submit: async (ctx) => {
+    const submitted = await submitSession(ctx.sessionId);
+    if (!submitted) throw httpError(400, "Exam already submitted");
+
+    ctx.stopCountdown();
+    ctx.closeAfterReply = "Exam submitted";
+    return [
+      "submitted",
+      { submittedAt: submitted.submittedAt, result: submitted.result },
+    ];
+  },
+};
+
+// Any sign of life: a pong or a heartbeat message. The last one is kept on
+// the session so time can be settled from it if the client vanishes.
+const markAlive = (ws) => {
+  ws.isAlive = true;
+  ws.lastHeartbeatAt = new Date();
+  ExamSession.updateOne(
+    { _id: ws.examSessionId, submittedAt: null },
+    { $set: { lastHeartbeatAt: ws.lastHeartbeatAt.toISOString() } }
+  ).catch((err) => console.error("Error saving heartbeat:", err));
+};
+
+// A live client stops the clock now; a dead one at its last heartbeat
+const getPauseTime = (ws) => (ws.isAlive ? new Date() : ws.lastHeartbeatAt);
+
+// Hand a session over from its old socket: stop the old clock, bank its run
+// and close it, before the new connection starts its own run
+const takeOver = async (previous) => {
+  await previous.started;
+  previous.stopCountdown();
+
+  const paused = await pauseSession(previous.examSessionId, {
+    at: getPauseTime(previous),
+  });
+  if (paused) {
+    console.log(
+      `Exam session ${previous.examSessionId} TAKEN OVER. ` +
+        `Previous run: ${paused.ranFor}s`
+    );
+  }
+
+  send(previous, "taken_over", {
+    message: "Session opened in another connection",
+  });
+  previous.close(4000, "Session opened elsewhere");
+};
+
+const handleConnection = (ws, req, { user, session }) => {
+  const sessionId = session._id.toString();
+  const exam = session.assignmentId.examId;
+
+  // Attach the session and user to the socket for later messages
+  ws.examSessionId = sessionId;
+  ws.user = user;
+  ws.isAlive = true;
+  ws.lastHeartbeatAt = new Date();
+  ws.on("pong", () => markAlive(ws));
+
+  const previous = activeSockets.get(sessionId);
+  activeSockets.set(sessionId, ws);
+
+  // Fixed once the run starts, so ticks need no DB round trip
+  let deadline = null;
+  let countdown = null;
+  ws.stopCountdown = () => clearInterval(countdown);
+
+  const ctx = {
+    ws,
+    user,
+    sessionId,
+    client: getClientInfo(req),
+    getRemainingTime: () =>
+      deadline === null
+        ? null
+        : Math.max(0, Math.ceil((deadline - Date.now()) / 1000)),
+    stopCountdown: ws.stopCountdown,
+    closeAfterReply: null,
+  };
+
+  // === ON CONNECT: Start the exam session ===
+  const start = async () => {
+    if (previous) await takeOver(previous);
+
+    const now = new Date().toISOString();
+
+    const running = await ExamSession.findOneAndUpdate(
+      { _id: sessionId, submittedAt: null },
+      {
+        $set: {
+          isRunning: true,
+          runAt: now,
+          pausedAt: null, // clear previous pause
+          lastHeartbeatAt: now,
+          // the question left on screen starts counting again
+          "viewingQuestion.since": session.viewingQuestion?.questionId
+            ? now
+            : null,
+        },
+      },
+      { new: true }
+    );
+    // Time ran out while the old connection was handed over
+    if (!running) {
+      ws.close(1008, "Exam already submitted");
+      return;
+    }
+
+    if (exam.type === "timed") {
+      deadline =
+        Date.now() + (exam.duration - running.totalTimeConsumed) * 1000;
+    }
+
+    console.log(`Exam session ${sessionId} STARTED at ${now}`);
+
+    await recordSessionEvent(sessionId, {
+      type: "connect",
+      source: "server",
+      ...ctx.client,
+    });
+    notifySessionChange(sessionId, "connected");
+
+    send(ws, "ready", {
+      sessionId,
+      examType: exam.type,
+      remainingTime: ctx.getRemainingTime(),
+      totalTimeConsumed: running.totalTimeConsumed,
+      viewingQuestionId: running.viewingQuestion?.questionId || null,
+      bookmarkedQuestions: running.bookmarkedQuestions,
+      serverTime: Date.now(),
+    });
+
+    // === COUNTDOWN: push remaining time every second for timed exams ===
+    if (deadline === null) return;
+
+    const tick = async () => {
+      const remainingTime = ctx.getRemainingTime();
+
+      send(ws, "tick", { remainingTime });
+      if (remainingTime > 0) return;
+
+      clearInterval(countdown);
+      try {
+        const submitted = await submitSession(sessionId, { auto: true });
+        console.log(`Exam session ${sessionId} AUTO-SUBMITTED (time expired)`);
+
+        send(ws, "expired", {
+          submittedAt: submitted ? submitted.submittedAt : null,
+        });
+        ws.close(1000, "Time expired");
+      } catch (err) {
+        console.error("Error auto-submitting exam session:", err);
+      }
+    };
+
+    tick();
+    countdown = setInterval(tick, 1000);
+  };
+
+  // Listeners go on straight away so nothing sent during start is lost;
+  // they wait for start to finish before touching the session
+  const started = start().catch((err) => {
+    console.error("WebSocket connection error:", err);
+    ws.close(1011, "Server error");
+  });
+  ws.started = started;
+
+  // === MESSAGES ===
+  // { type, requestId?, ...fields } → reply echoes requestId
+  ws.on("message", async (raw) => {
+    let requestId = null;
+    try {
+      await started;
+
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        throw httpError(400, "Invalid JSON");
+      }
+      requestId = message.requestId ?? null;
+
+      const handler = handlers[message.type];
+      if (!handler) throw httpError(400, "Unknown message type");
+
+      const [type, payload] = await handler(ctx, message);
+      send(ws, type, { requestId, ...payload });
+
+      if (ctx.closeAfterReply) ws.close(1000, ctx.closeAfterReply);
+    } catch (err) {
+      send(ws, "error", {
+        requestId,
+        status: err.status || 500,
+        message: err.message,
+      });
+    }
+  });
+
+  // === ON DISCONNECT ===
+  // ws.settled lets shutdown wait for the time accounting to finish
+  const settle = async () => {
+    clearInterval(countdown);
+    await started;
+
+    // A socket that was taken over had its run banked by the takeover
+    const superseded = activeSockets.get(sessionId) !== ws;
+    if (!superseded) activeSockets.delete(sessionId);
+
+    try {
+      await recordSessionEvent(sessionId, {
+        type: "disconnect",
+        source: "server",
+        ...ctx.client,
+        details: superseded
+          ? { reason: "taken_over" }
+          : ws.heartbeatTimedOut
+          ? { reason: "heartbeat_timeout" }
+          : undefined,
+      });
+      if (superseded) return;
+
+      const paused = await pauseSession(sessionId, { at: getPauseTime(ws) });
+      if (!paused) return;
+      notifySessionChange(sessionId, "disconnected");
+
+      console.log(
+        `Exam session ${sessionId} PAUSED. ` +
+          `This run: ${paused.ranFor}s, ` +
+          `Total: ${paused.session.totalTimeConsumed}s`
+      );
+      if (paused.submitted) {
+        console.log(`Exam session ${sessionId} AUTO-SUBMITTED (time expired)`);
+      }
+    } catch (err) {
+      console.error("Error on WebSocket disconnect:", err);
+    }
+  };
+  ws.on("close", () => {
+    ws.settled = settle();
+  });
+};
+
+// Ping every client each interval; one that hasn't answered the last ping
+// is dropped, and its time stops at its last heartbeat
+const init = (wss) => {
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.heartbeatTimedOut = true;
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on("close", () => clearInterval(heartbeat));
+};
+
+module.exports = {
+  path: "/exam-socket",
+  authorize,
+  handleConnection,
+  init,
+  isSessionConnected,
+};
@@ -0,0 +1,75 @@
+const { Server } = require("ws");
+const { rejectUpgrade } = require("./auth");
+const examSocket = require("./examSocket");
+const monitorSocket = require("./monitorSocket");
+
+const channels = [examSocket, monitorSocket];
+
+// Client messages are small JSON commands; anything bigger closes the socket
+const MAX_PAYLOAD = 64 * 1024;
+
+// Mount every socket channel on the HTTP server. Each channel authorizes
+// its own upgrades before the WebSocket handshake completes; the context
+// it returns is handed to its connection handler.
+const attachSockets = (server) => {
+  const servers = new Map();
+  for (const channel of channels) {
+    const wss = new Server({ noServer: true, maxPayload: MAX_PAYLOAD });
+    wss.on("connection", channel.handleConnection);
+    channel.init?.(wss);
+    servers.set(channel.path, { channel, wss });
+  }
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const entry = servers.get(url.pathname);
+    if (!entry) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const context = await entry.channel.authorize(req, url);
+      entry.wss.handleUpgrade(req, socket, head, (ws) => {
+        entry.wss.emit("connection", ws, req, context);
+      });
+    } catch (err) {
+      if (!err.status) console.error("WebSocket upgrade error:", err);
+      rejectUpgrade(socket, err.status || 500, err.message);
+    }
+  });
+
+  return servers;
+};
+
+// Close every socket with a proper close frame so each channel's close
+// handler runs (the exam socket banks the student's time there). Clients
+// that don't answer in time are dropped.
+const closeSockets = async (
+  servers,
+  { code = 1001, reason = "Server shutting down", timeoutMs = 5000 } = {}
+) => {
+  const closing = [];
+  for (const { wss } of servers.values()) {
+    for (const ws of wss.clients) {
+      closing.push(
+        new Promise((resolve) => ws.once("close", () => resolve(ws.settled)))
+      );
+      ws.close(code, reason);
+    }
+  }
+
+  const all = Promise.all(closing);
+  const timeout = new Promise((resolve) => {
+    setTimeout(resolve, timeoutMs).unref();
+  });
+  await Promise.race([all, timeout]);
+
+  for (const { wss } of servers.values()) {
+    for (const ws of wss.clients) ws.terminate();
+    wss.close();
+  }
+  await all;
+};
+
+module.exports = { attachSockets, closeSockets };
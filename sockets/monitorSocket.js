@@ -0,0 +1,82 @@
+const { authenticateUpgrade } = require("./auth");
+const { sessionActivity } = require("../utils/sessionActivity");
+const {
+  getMonitorScope,
+  isInScope,
+  getMonitorSnapshot,
+  getMonitorRow,
+} = require("../utils/monitoring");
+const { serialize } = require("../utils/serialize");
+const { httpError } = require("../utils/httpError");
+
+const send = (ws, type, payload = {}) => {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({ type, ...serialize(payload, { role: "admin" }) }));
+};
+
+// Admins only, watching ?examId=... or ?bulkAssignmentId=...
+const authorize = async (req, url) => {
+  const user = await authenticateUpgrade(req, url);
+  if (user.role !== "admin") throw httpError(403, "Admin access required");
+
+  const scope = getMonitorScope({
+    examId: url.searchParams.get("examId"),
+    bulkAssignmentId: url.searchParams.get("bulkAssignmentId"),
+  });
+
+  return { user, scope };
+};
+
+const sendSnapshot = async (ws) => {
+  const students = await getMonitorSnapshot(ws.scope);
+  send(ws, "snapshot", { students, serverTime: Date.now() });
+};
+
+const handleConnection = (ws, req, { user, scope }) => {
+  ws.user = user;
+  ws.scope = scope;
+
+  sendSnapshot(ws).catch((err) => {
+    console.error("Monitor snapshot error:", err);
+    ws.close(1011, "Server error");
+  });
+
+  // { type: "refresh" } → a fresh snapshot
+  ws.on("message", async (raw) => {
+    try {
+      const message = JSON.parse(raw.toString());
+      if (message.type !== "refresh") {
+        throw httpError(400, "Unknown message type");
+      }
+      await sendSnapshot(ws);
+    } catch (err) {
+      send(ws, "error", { status: err.status || 500, message: err.message });
+    }
+  });
+};
+
+// Push one student's new row to every monitor watching them. The row is
+// loaded once per change, however many monitors are open.
+const init = (wss) => {
+  sessionActivity.on("change", async ({ sessionId, reason }) => {
+    if (wss.clients.size === 0) return;
+
+    try {
+      const update = await getMonitorRow(sessionId);
+      if (!update) return;
+
+      for (const ws of wss.clients) {
+        if (!isInScope(ws.scope, update.assignment)) continue;
+        send(ws, "session_update", {
+          reason,
+          student: update.row,
+          serverTime: Date.now(),
+        });
+      }
+    } catch (err) {
+      console.error("Monitor update error:", err);
+    }
+  });
+};
+
+module.exports = { path: "/monitor-socket", authorize, handleConnection, init };
@@ -0,0 +1,109 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const { Writable } = require("stream");
+const mongoose = require("mongoose");
+const gridfs = require("../utils/gridfs");
+const { Certificate, ExamSession } = require("../models");
+
+// In-memory stand-in for the GridFS "uploads" bucket
+const files = new Map();
+mock.method(gridfs, "getUploadsBucket", () => ({
+  openUploadStream: (filename, options) => {
+    const id = new mongoose.Types.ObjectId();
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      final(callback) {
+        files.set(id.toString(), {
+          filename,
+          ...options,
+          data: Buffer.concat(chunks),
+        });
+        callback();
+      },
+    });
+    stream.id = id;
+    return stream;
+  },
+}));
+
+// Loaded after the bucket is swapped so it picks up the stand-in
+const { issueCertificate } = require("../utils/certificates");
+
+const passedSession = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  submittedAt: "2025-06-01T10:00:00.000Z",
+  result: { passed: true, score: 42, totalMarks: 50, percentage: 84 },
+  assignmentId: {
+    studentId: { _id: new mongoose.Types.ObjectId(), name: "Jane Doe" },
+    examId: {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Air Law",
+      generatedFor: null,
+    },
+  },
+});
+
+beforeEach(() => {
+  files.clear();
+  mock.method(Certificate.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Certificate, "create", async (data) => new Certificate(data));
+});
+
+test("issuing a certificate stores its PDF in GridFS", async () => {
+  const session = passedSession();
+  mock.method(Certificate, "findOne", async () => null);
+  mock.method(ExamSession, "findById", () => ({
+    populate: async () => session,
+  }));
+
+  const certificate = await issueCertificate(session._id);
+
+  assert.ok(certificate.fileId, "fileId is recorded");
+  const file = files.get(certificate.fileId.toString());
+  assert.ok(file, "GridFS file exists");
+  assert.strictEqual(file.contentType, "application/pdf");
+  assert.strictEqual(
+    file.metadata.certificateNumber,
+    certificate.certificateNumber
+  );
+  assert.strictEqual(file.data.subarray(0, 5).toString(), "%PDF-");
+  assert.match(certificate.certificateNumber, /^CERT-\d{4}-[0-9A-F]{10}$/);
+  assert.strictEqual(certificate.studentName, "Jane Doe");
+  assert.strictEqual(certificate.examName, "Air Law");
+});
+
+test("a certificate whose PDF is missing gets one on reissue", async () => {
+  const existing = new Certificate({
+    certificateNumber: "CERT-2025-ABCDEF0123",
+    sessionId: new mongoose.Types.ObjectId(),
+    studentId: new mongoose.Types.ObjectId(),
+    examId: new mongoose.Types.ObjectId(),
+    studentName: "Jane Doe",
+    examName: "Air Law",
+    score: 42,
+    totalMarks: 50,
+    percentage: 84,
+    passedAt: "2025-06-01T10:00:00.000Z",
+    issuedAt: "2025-06-01T10:00:01.000Z",
+  });
+  mock.method(Certificate, "findOne", async () => existing);
+
+  const certificate = await issueCertificate(existing.sessionId);
+
+  assert.strictEqual(certificate, existing);
+  assert.ok(files.has(certificate.fileId.toString()));
+});
+
+test("certificate JSON leaves out the GridFS file id", () => {
+  const certificate = new Certificate({
+    certificateNumber: "CERT-2025-ABCDEF0123",
+    fileId: new mongoose.Types.ObjectId(),
+  });
+  assert.ok(!("fileId" in certificate.toJSON()));
+});
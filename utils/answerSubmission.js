@@ -0,0 +1,232 @@
+const { SubmittedAnswer, ExamSession, Question } = require("../models");
+const { isTimeUp } = require("./sessionTime");
+const { submitSession } = require("./submitSession");
+const {
+  gradeAnswer,
+  getAwardedMarks,
+  toDisplayedAnswer,
+  roundMarks,
+} = require("./grading");
+const {
+  getScoringPolicy,
+  scoreAnswer,
+  computeSessionScore,
+} = require("./scoring");
+const { resolvePinnedQuestions, serveQuestion } = require("./questionVersions");
+const {
+  getSessionQuestions,
+  getSessionQuestionIds,
+  getOptionOrder,
+} = require("./questionOrder");
+const { httpError } = require("./httpError");
+const { notifySessionChange } = require("./sessionActivity");
+
+// What the caller learns about a submitted answer. Practice exams mark it
+// straight away, with the answer key and feedback; assessments only
+// acknowledge it until the session is submitted and review opens.
+// Admins always get the marking.
+const buildAnswerFeedback = ({
+  session,
+  exam,
+  role,
+  answer,
+  question,
+  currentGrade,
+}) => {
+  const practice = exam.reviewMode === "practice";
+
+  if (!practice && role !== "admin") {
+    return {
+      answer: {
+        id: answer._id.toString(),
+        questionId: question._id,
+        submittedValue: answer.submittedValue,
+        updatedAt: answer.updatedAt,
+      },
+      acknowledged: true,
+    };
+  }
+
+  const feedback = {
+    answer,
+    isCorrect: answer.isCorrect,
+    awardedMarks: getAwardedMarks(answer, question),
+    currentGrade,
+  };
+
+  if (practice) {
+    // In the option order this student was shown
+    feedback.correctAnswer = toDisplayedAnswer(
+      question,
+      getOptionOrder(session, question._id)
+    );
+    if (question.type === "short") {
+      feedback.tolerance = {
+        plusT: question.plusT ?? 0,
+        minusT: question.minusT ?? 0,
+      };
+    }
+    feedback.feedback = question.feedback;
+  }
+
+  return feedback;
+};
+
+// Grade and store one answer for a session, then work out what comes next.
+// Shared by POST /api/submitted-answers and the exam socket; failures are
+// thrown as httpErrors. Returns { status, body }.
+const submitAnswer = async (
+  user,
+  { sessionId, questionId, submittedValue }
+) => {
+  if (!sessionId || !questionId || submittedValue === undefined) {
+    throw httpError(400, "sessionId, questionId, and submittedValue required");
+  }
+
+  // Get session with populated data
+  const session = await ExamSession.findById(sessionId)
+    .populate({
+      path: "assignmentId",
+      populate: {
+        path: "examId",
+        populate: [
+          { path: "categoryId" },
+          { path: "questions", populate: { path: "categoryId" } },
+        ],
+      },
+    })
+    .populate({ path: "questionOrder", populate: { path: "categoryId" } });
+
+  if (!session) {
+    throw httpError(404, "Session not found");
+  }
+
+  // Check ownership
+  const assignment = session.assignmentId;
+  if (
+    user.role === "student" &&
+    assignment.studentId.toString() !== user._id.toString()
+  ) {
+    throw httpError(403, "Access denied");
+  }
+
+  // Prevent submission after exam is fully submitted
+  if (session.submittedAt) {
+    throw httpError(400, "Exam already submitted");
+  }
+
+  // Refuse answers once the clock has run out, and close the session
+  if (isTimeUp(session, assignment.examId)) {
+    await submitSession(session._id, { auto: true });
+    throw httpError(400, "Time is up, exam submitted");
+  }
+
+  // Get question
+  const current = await Question.findById(questionId).populate("categoryId");
+  if (!current) {
+    throw httpError(404, "Question not found");
+  }
+
+  // Check if question belongs to this session's question set
+  const sessionQuestionIds = getSessionQuestionIds(session, assignment.examId);
+  if (!sessionQuestionIds.includes(String(questionId))) {
+    throw httpError(400, "Question not part of this exam");
+  }
+
+  // Mark against the version this session was shown, even if the question
+  // has been edited since
+  const [question] = await resolvePinnedQuestions(session, [current]);
+
+  // Grade with the question type's own grader (choices are mapped back to
+  // the authoring order), then score it under the exam's policy
+  const policy = getScoringPolicy(assignment.examId);
+  const { isCorrect, fraction } = gradeAnswer(question, submittedValue, {
+    optionOrder: getOptionOrder(session, question._id),
+  });
+  const awardedMarks = scoreAnswer(policy, question, fraction);
+
+  // Find existing answer
+  let answer = await SubmittedAnswer.findOne({ sessionId, questionId });
+  if (answer) {
+    // === UPDATE EXISTING ANSWER ===
+    answer.submittedValue = submittedValue;
+    answer.isCorrect = isCorrect;
+    answer.awardedMarks = awardedMarks;
+    answer.questionVersion = question.version;
+    answer.isManuallyGraded = false; // a new answer replaces any override
+    answer.answeredAt = Date.now(); // optional: update timestamp
+
+    await answer.save();
+  } else {
+    // === CREATE NEW ANSWER ===
+    answer = new SubmittedAnswer({
+      sessionId,
+      questionId,
+      submittedValue,
+      questionVersion: question.version,
+      isCorrect,
+      awardedMarks,
+    });
+    await answer.save();
+
+    session.answeredQuestions.push(answer._id);
+  }
+
+  // Get answered questions for grade and next logic
+  const allAnswers = await SubmittedAnswer.find({ sessionId });
+  const questions = await resolvePinnedQuestions(
+    session,
+    getSessionQuestions(session, assignment.examId)
+  );
+
+  // Re-total under the policy so the running grade matches the final one
+  const previousGrade = session.grade;
+  session.grade = computeSessionScore(policy, questions, allAnswers);
+  const gradeChange = roundMarks(session.grade - previousGrade);
+
+  // Always update last activity
+  session.lastAnsweredAt = new Date().toISOString();
+  await session.save();
+
+  // Populate answer for response
+  await answer.populate(["sessionId", "questionId"]);
+
+  const answeredQuestionIds = allAnswers.map((a) => a.questionId.toString());
+  const nextQuestionIndex = questions.findIndex(
+    (q) => !answeredQuestionIds.includes(q._id.toString())
+  );
+
+  const nextQuestion = await serveQuestion(
+    session,
+    questions[nextQuestionIndex]
+  );
+  const isLastQuestion = nextQuestionIndex === -1;
+
+  const feedback = buildAnswerFeedback({
+    session,
+    exam: assignment.examId,
+    role: user.role,
+    answer,
+    question,
+    currentGrade: session.grade,
+  });
+
+  notifySessionChange(session._id, "answered");
+
+  return {
+    status: answer.isNew ? 201 : 200,
+    body: {
+      ...feedback,
+      ...(feedback.acknowledged ? {} : { gradeChange }),
+      nextQuestion,
+      nextQuestionIndex: isLastQuestion ? null : nextQuestionIndex,
+      totalQuestions: questions.length,
+      answeredCount: allAnswers.length,
+      isLastQuestion,
+      examCompleted: isLastQuestion,
+      updated: !answer.isNew, // helpful flag for frontend
+    },
+  };
+};
+
+module.exports = { submitAnswer, buildAnswerFeedback };
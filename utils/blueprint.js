@@ -0,0 +1,61 @@
+const { Question, ExamAssignment, ExamSession } = require("../models");
+const { shuffle } = require("./questionOrder");
+const { httpError } = require("./httpError");
+
+// Question ids this student was served in earlier attempts at the exam
+const getSeenQuestionIds = async (examId, studentId) => {
+  const assignments = await ExamAssignment.find(
+    { examId, studentId },
+    { _id: 1 }
+  );
+  const sessions = await ExamSession.find(
+    { assignmentId: { $in: assignments.map((a) => a._id) } },
+    { questionOrder: 1 }
+  );
+
+  return new Set(
+    sessions.flatMap((s) => s.questionOrder.map((id) => id.toString()))
+  );
+};
+
+// Draw a fresh question set for one attempt from the exam's blueprint rules.
+// Each rule picks `count` questions by category and (optionally) difficulty;
+// a question is never drawn twice even when rules overlap.
+const drawQuestions = async (exam, studentId) => {
+  const seen = exam.preferUnseenQuestions
+    ? await getSeenQuestionIds(exam._id, studentId)
+    : new Set();
+
+  const picked = [];
+
+  for (const rule of exam.blueprint) {
+    const filter = {
+      categoryId: rule.categoryId,
+      _id: { $nin: picked.map((q) => q._id) },
+    };
+    if (rule.difficulty) filter.difficulty = rule.difficulty;
+
+    const candidates = await Question.find(filter).populate("categoryId");
+    if (candidates.length < rule.count) {
+      throw httpError(
+        400,
+        `Not enough questions in the bank for blueprint rule ` +
+          `(category ${rule.categoryId}, ${rule.difficulty || "any"} ` +
+          `difficulty): need ${rule.count}, found ${candidates.length}`
+      );
+    }
+
+    // Unseen questions first, then the ones met in earlier attempts
+    const isSeen = (q) => seen.has(q._id.toString());
+    const pool = [
+      ...shuffle(candidates.filter((q) => !isSeen(q))),
+      ...shuffle(candidates.filter(isSeen)),
+    ];
+
+    picked.push(...pool.slice(0, rule.count));
+  }
+
+  return picked;
+};
+
+module.exports = { drawQuestions };
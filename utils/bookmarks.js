@@ -0,0 +1,57 @@
+const { ExamSession } = require("../models");
+const { getSessionQuestionIds } = require("./questionOrder");
+const { httpError } = require("./httpError");
+
+// Add or remove a bookmark on one of a session's questions. Shared by the
+// bookmark route and the exam socket; returns the action taken and the
+// session's bookmarks afterwards.
+const toggleBookmark = async (user, sessionId, questionId) => {
+  const session = await ExamSession.findById(sessionId).populate({
+    path: "assignmentId",
+    populate: [{ path: "studentId" }, { path: "examId" }],
+  });
+
+  if (!session) {
+    throw httpError(404, "Session not found");
+  }
+
+  // Ownership check
+  if (
+    user.role === "student" &&
+    session.assignmentId.studentId._id.toString() !== user._id.toString()
+  ) {
+    throw httpError(403, "Access denied");
+  }
+
+  // Prevent action if already submitted
+  if (session.submittedAt) {
+    throw httpError(400, "Exam already submitted");
+  }
+
+  // Validate question belongs to this session
+  const questionExists = getSessionQuestionIds(
+    session,
+    session.assignmentId.examId
+  ).includes(String(questionId));
+  if (!questionExists) {
+    throw httpError(400, "Invalid question for this exam");
+  }
+
+  const bookmarkIndex = session.bookmarkedQuestions.findIndex(
+    (id) => id.toString() === String(questionId)
+  );
+
+  let action;
+  if (bookmarkIndex === -1) {
+    session.bookmarkedQuestions.push(questionId);
+    action = "bookmarked";
+  } else {
+    session.bookmarkedQuestions.splice(bookmarkIndex, 1);
+    action = "unbookmarked";
+  }
+  await session.save();
+
+  return { action, bookmarkedQuestions: session.bookmarkedQuestions };
+};
+
+module.exports = { toggleBookmark };
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { Certificate, ExamSession } = require("../models");
+const { getUploadsBucket } = require("./gridfs");
+const { httpError } = require("./httpError");
+
+const DUPLICATE_KEY = 11000;
+
+// e.g. CERT-2025-9F2C41A07B: year plus 40 random bits
+const generateCertificateNumber = (now = new Date()) =>
+  `CERT-${now.getUTCFullYear()}-${crypto
+    .randomBytes(5)
+    .toString("hex")
+    .toUpperCase()}`;
+
+const getVerifyUrl = (certificateNumber) =>
+  `${
+    process.env.PUBLIC_URL || ""
+  }/api/certificates/verify/${certificateNumber}`;
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+// Draw the certificate and store it in the uploads bucket; resolves to the
+// GridFS file id
+const renderCertificatePdf = (certificate) =>
+  new Promise((resolve, reject) => {
+    const filename = `certificate-${certificate.certificateNumber}.pdf`;
+    const upload = getUploadsBucket().openUploadStream(filename, {
+      contentType: "application/pdf",
+      metadata: { certificateNumber: certificate.certificateNumber },
+    });
+    upload.on("finish", () => resolve(upload.id));
+    upload.on("error", reject);
+
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 60,
+    });
+    doc.on("error", reject);
+    doc.pipe(upload);
+
+    const { width, height } = doc.page;
+    doc
+      .lineWidth(3)
+      .rect(30, 30, width - 60, height - 60)
+      .stroke();
+
+    doc.moveDown(2);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(32)
+      .text("Certificate of Completion", { align: "center" });
+    doc.moveDown(1.5);
+    doc
+      .font("Helvetica")
+      .fontSize(16)
+      .text("This certifies that", { align: "center" });
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(26)
+      .text(certificate.studentName, { align: "center" });
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica")
+      .fontSize(16)
+      .text("has passed the examination", { align: "center" });
+    doc.moveDown(0.5);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(22)
+      .text(certificate.examName, { align: "center" });
+    doc.moveDown(1);
+    doc
+      .font("Helvetica")
+      .fontSize(14)
+      .text(
+        `Score: ${certificate.score} / ${certificate.totalMarks} ` +
+          `(${certificate.percentage}%)`,
+        { align: "center" }
+      )
+      .text(`Date: ${formatDate(certificate.passedAt)}`, { align: "center" });
+
+    doc
+      .fontSize(10)
+      .text(
+        `Certificate number: ${certificate.certificateNumber}`,
+        60,
+        height - 110,
+        { align: "center", width: width - 120 }
+      )
+      .text(`Verify at ${getVerifyUrl(certificate.certificateNumber)}`, {
+        align: "center",
+        width: width - 120,
+      });
+
+    doc.end();
+  });
+
+// Render the PDF and record its GridFS id on the certificate
+const attachPdf = async (certificate) => {
+  certificate.fileId = await renderCertificatePdf(certificate);
+  return certificate.save();
+};
+
+// Issue the certificate for a passed official attempt, or return the one
+// already issued for it (rendering its PDF if that failed the first time)
+const issueCertificate = async (sessionId) => {
+  const existing = await Certificate.findOne({ sessionId });
+  if (existing) return existing.fileId ? existing : attachPdf(existing);
+
+  const session = await ExamSession.findById(sessionId).populate({
+    path: "assignmentId",
+    populate: [
+      { path: "studentId", select: "name" },
+      { path: "examId", select: "name generatedFor" },
+    ],
+  });
+  if (!session) throw httpError(404, "Session not found");
+  if (!session.submittedAt) throw httpError(400, "Exam not submitted yet");
+  if (!session.result?.passed) throw httpError(400, "Attempt was not passed");
+
+  const { studentId: student, examId: exam } = session.assignmentId || {};
+  if (!student || !exam) throw httpError(404, "Student or exam not found");
+  if (exam.generatedFor) {
+    throw httpError(400, "Practice exams don't earn certificates");
+  }
+
+  // Retry on the (unlikely) clash of certificate numbers; a clash on the
+  // session means another request issued it first
+  let certificate;
+  for (let attempt = 0; !certificate; attempt++) {
+    try {
+      certificate = await Certificate.create({
+        certificateNumber: generateCertificateNumber(),
+        sessionId: session._id,
+        studentId: student._id,
+        examId: exam._id,
+        studentName: student.name,
+        examName: exam.name,
+        score: session.result.score,
+        totalMarks: session.result.totalMarks,
+        percentage: session.result.percentage,
+        passedAt: session.submittedAt,
+        issuedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY || attempt >= 2) throw err;
+      if (err.keyPattern?.sessionId) return Certificate.findOne({ sessionId });
+    }
+  }
+
+  return attachPdf(certificate);
+};
+
+// Only what a third party needs to confirm a certificate is genuine
+const toVerification = (certificate) => ({
+  certificateNumber: certificate.certificateNumber,
+  valid: !certificate.revokedAt,
+  status: certificate.revokedAt ? "revoked" : "valid",
+  studentName: certificate.studentName,
+  examName: certificate.examName,
+  passedAt: certificate.passedAt,
+  issuedAt: certificate.issuedAt,
+  revokedAt: certificate.revokedAt,
+});
+
+module.exports = {
+  generateCertificateNumber,
+  renderCertificatePdf,
+  issueCertificate,
+  toVerification,
+};
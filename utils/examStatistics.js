@@ -0,0 +1,223 @@
+const mongoose = require("mongoose");
+const { ExamAssignment, ExamSession, SubmittedAnswer } = require("../models");
+const { roundMarks } = require("./grading");
+
+const median = (sorted) => {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => (value === null ? null : roundMarks(value));
+
+// Percentage buckets for the histogram: [0, step), [step, 2*step), ...
+// with 100 itself in the top bucket
+const getBoundaries = (bins) => {
+  const step = 100 / bins;
+  const boundaries = Array.from({ length: bins }, (_, i) => i * step);
+  boundaries.push(100.000001);
+  return boundaries;
+};
+
+// Submitted sessions of one exam, reached through its assignments so only
+// that exam's sessions are read
+const submittedSessionsPipeline = (examId) => [
+  { $match: { examId } },
+  {
+    $lookup: {
+      from: ExamSession.collection.name,
+      localField: "_id",
+      foreignField: "assignmentId",
+      as: "session",
+    },
+  },
+  { $unwind: "$session" },
+  { $replaceRoot: { newRoot: "$session" } },
+  { $match: { submittedAt: { $ne: null } } },
+  {
+    $project: {
+      grade: 1,
+      totalTimeConsumed: 1,
+      percentage: { $ifNull: ["$result.percentage", 0] },
+    },
+  },
+];
+
+// The one question set every session was served, or null when they differ
+// (the paper was edited between attempts). Sessions from before question
+// orders were stored sat the exam's own list.
+const getCommonPaper = async (exam, sessionIds) => {
+  const sessions = await ExamSession.find(
+    { _id: { $in: sessionIds } },
+    { questionOrder: 1 }
+  ).lean();
+
+  let paper = null;
+  for (const session of sessions) {
+    const ids = (
+      session.questionOrder?.length ? session.questionOrder : exam.questions
+    )
+      .map(String)
+      .sort();
+    if (paper === null) paper = ids;
+    else if (ids.join() !== paper.join()) return null;
+  }
+  return paper;
+};
+
+// KR-20 for a fixed paper: (k / (k - 1)) * (1 - sum(p * q) / variance),
+// where p is the share of sessions getting item i right and variance is
+// that of each session's number correct. Unanswered counts as wrong.
+// Blueprint exams draw different items per attempt, so have none.
+const computeKr20 = async (exam, sessionIds) => {
+  if (exam.blueprint?.length > 0) return null;
+
+  const n = sessionIds.length;
+  if (n < 2) return null;
+
+  const paper = await getCommonPaper(exam, sessionIds);
+  const k = paper?.length ?? 0;
+  if (k < 2) return null;
+  const questionIds = paper.map((id) => new mongoose.Types.ObjectId(id));
+
+  const [items, perSession] = await Promise.all([
+    SubmittedAnswer.aggregate([
+      {
+        $match: {
+          sessionId: { $in: sessionIds },
+          questionId: { $in: questionIds },
+        },
+      },
+      {
+        $group: {
+          _id: "$questionId",
+          correct: { $sum: { $cond: ["$isCorrect", 1, 0] } },
+        },
+      },
+    ]),
+    SubmittedAnswer.aggregate([
+      {
+        $match: {
+          sessionId: { $in: sessionIds },
+          questionId: { $in: questionIds },
+          isCorrect: true,
+        },
+      },
+      { $group: { _id: "$sessionId", correct: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const sumPq = items.reduce((sum, item) => {
+    const p = item.correct / n;
+    return sum + p * (1 - p);
+  }, 0);
+
+  // Sessions with nothing right are missing from perSession: they score 0
+  const totals = perSession.map((s) => s.correct);
+  while (totals.length < n) totals.push(0);
+  const mean = totals.reduce((sum, t) => sum + t, 0) / n;
+  const variance = totals.reduce((sum, t) => sum + (t - mean) ** 2, 0) / n;
+  if (variance === 0) return null;
+
+  return Math.round((k / (k - 1)) * (1 - sumPq / variance) * 1000) / 1000;
+};
+
+// Score distribution and reliability for one exam, over its submitted
+// sessions. Pass rate uses the exam's current passingPercentage.
+const buildExamStatistics = async (exam, { bins = 10 } = {}) => {
+  const [facets] = await ExamAssignment.aggregate([
+    ...submittedSessionsPipeline(exam._id),
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              attempts: { $sum: 1 },
+              meanScore: { $avg: "$grade" },
+              stdDevScore: { $stdDevPop: "$grade" },
+              meanPercentage: { $avg: "$percentage" },
+              stdDevPercentage: { $stdDevPop: "$percentage" },
+              averageTime: { $avg: "$totalTimeConsumed" },
+              passed: {
+                $sum: {
+                  $cond: [
+                    { $gte: ["$percentage", exam.passingPercentage] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+        ],
+        // Sorted values for the medians, and the ids for KR-20
+        sorted: [
+          { $sort: { percentage: 1 } },
+          {
+            $group: {
+              _id: null,
+              percentages: { $push: "$percentage" },
+              grades: { $push: "$grade" },
+              sessionIds: { $push: "$_id" },
+            },
+          },
+        ],
+        histogram: [
+          {
+            $bucket: {
+              groupBy: "$percentage",
+              boundaries: getBoundaries(bins),
+              default: "out_of_range",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const summary = facets.summary[0];
+  const sorted = facets.sorted[0] || {
+    percentages: [],
+    grades: [],
+    sessionIds: [],
+  };
+
+  const counts = new Map(facets.histogram.map((b) => [b._id, b.count]));
+  const step = 100 / bins;
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: round(i * step),
+    to: round((i + 1) * step),
+    count: counts.get(getBoundaries(bins)[i]) || 0,
+  }));
+  // Negative marking without a floor can push scores below zero
+  if (counts.has("out_of_range")) {
+    histogram.unshift({ from: null, to: 0, count: counts.get("out_of_range") });
+  }
+
+  const attempts = summary?.attempts || 0;
+  return {
+    attempts,
+    score: {
+      mean: summary ? round(summary.meanScore) : null,
+      median: round(median([...sorted.grades].sort((a, b) => a - b))),
+      stdDev: summary ? round(summary.stdDevScore) : null,
+    },
+    percentage: {
+      mean: summary ? round(summary.meanPercentage) : null,
+      median: round(median(sorted.percentages)),
+      stdDev: summary ? round(summary.stdDevPercentage) : null,
+    },
+    passingPercentage: exam.passingPercentage,
+    passRate: attempts ? round((summary.passed / attempts) * 100) : null,
+    averageTime: summary ? Math.round(summary.averageTime) : null,
+    histogram,
+    // Only defined for a fixed paper; blueprint exams draw different items
+    kr20: await computeKr20(exam, sorted.sessionIds),
+  };
+};
+
+module.exports = { buildExamStatistics };
@@ -0,0 +1,42 @@
+const { ExamSession } = require("../models");
+const { isTimeUp } = require("./sessionTime");
+const { submitSession } = require("./submitSession");
+
+// How often running sessions are checked for an expired clock
+const SWEEP_INTERVAL_MS = 5_000;
+
+// Auto-submit every running timed session whose time has run out.
+// This is what ends an exam when no socket is around to notice it.
+const expireOverdueSessions = async () => {
+  const sessions = await ExamSession.find({
+    submittedAt: null,
+    isRunning: true,
+  }).populate({
+    path: "assignmentId",
+    populate: { path: "examId", select: "type duration" },
+  });
+
+  for (const session of sessions) {
+    const exam = session.assignmentId?.examId;
+    if (!exam || !isTimeUp(session, exam)) continue;
+
+    const submitted = await submitSession(session._id, { auto: true });
+    if (submitted) {
+      console.log(`Exam session ${session._id} AUTO-SUBMITTED (time expired)`);
+    }
+  }
+};
+
+const startExamTimer = () => {
+  const interval = setInterval(async () => {
+    try {
+      await expireOverdueSessions();
+    } catch (err) {
+      console.error("Error in exam timer sweep:", err);
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  return interval;
+};
+
+module.exports = { startExamTimer, expireOverdueSessions };
@@ -0,0 +1,159 @@
+// Answer grading, shared by answer submission and anything that re-marks answers.
+// Every grader returns the fraction of the question's marks earned (0..1);
+// questions without `partialCredit` only ever earn all or nothing.
+
+// Option values in authoring order (plain options or image options)
+const getOptionValues = (question) =>
+  question.options?.length
+    ? question.options.map(String)
+    : (question.optionsWithImgs || []).map((o) => String(o.option));
+
+// Map a student's choice back to the authoring order.
+// Answer keys holding option values don't depend on order; keys holding
+// option indexes need the displayed index translated through the session order.
+const toCanonicalChoice = (question, submittedValue, optionOrder) => {
+  if (!optionOrder) return submittedValue;
+
+  const values = getOptionValues(question);
+  const keys = [].concat(question.correctAnswer).map(String);
+  if (keys.every((key) => values.includes(key))) return submittedValue;
+
+  const displayedIndex = Number(submittedValue);
+  if (
+    !Number.isInteger(displayedIndex) ||
+    optionOrder[displayedIndex] === undefined
+  ) {
+    return submittedValue;
+  }
+  return optionOrder[displayedIndex];
+};
+
+// The answer key as a session displays it: option indexes translated to the
+// shuffled positions. Keys holding option values don't depend on order.
+const toDisplayedAnswer = (question, optionOrder) => {
+  const key = question.correctAnswer;
+  if (!optionOrder || !["mcq", "multi"].includes(question.type)) return key;
+
+  const values = getOptionValues(question);
+  const keys = [].concat(key);
+  if (keys.every((k) => values.includes(String(k)))) return key;
+
+  const toDisplayed = (k) => {
+    const position = optionOrder.indexOf(Number(k));
+    if (position === -1) return k;
+    return typeof k === "string" ? String(position) : position;
+  };
+  return Array.isArray(key) ? keys.map(toDisplayed) : toDisplayed(key);
+};
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === "true") return true;
+  if (normalized === "false") return false;
+  return null;
+};
+
+const gradeMcq = (question, submittedValue, { optionOrder } = {}) => {
+  const choice = toCanonicalChoice(question, submittedValue, optionOrder);
+  return String(choice) === String(question.correctAnswer) ? 1 : 0;
+};
+
+// Numerical short answer with tolerance
+const gradeShort = (question, submittedValue) => {
+  const sub = Number(submittedValue);
+  const correct = Number(question.correctAnswer);
+  const plusT = Number(question.plusT) || 0;
+  const minusT = Number(question.minusT) || 0;
+
+  if (isNaN(sub) || isNaN(correct)) return 0;
+  return sub >= correct - minusT && sub <= correct + plusT ? 1 : 0;
+};
+
+const gradeTrueFalse = (question, submittedValue) => {
+  const sub = toBoolean(submittedValue);
+  return sub !== null && sub === toBoolean(question.correctAnswer) ? 1 : 0;
+};
+
+// Multiple correct options: each right pick earns a share, each wrong pick
+// cancels one out
+const gradeMulti = (question, submittedValue, { optionOrder } = {}) => {
+  if (!Array.isArray(submittedValue)) return 0;
+
+  const correct = new Set(question.correctAnswer.map(String));
+  const chosen = new Set(
+    submittedValue.map((v) =>
+      String(toCanonicalChoice(question, v, optionOrder))
+    )
+  );
+
+  let hits = 0;
+  let misses = 0;
+  for (const choice of chosen) {
+    if (correct.has(choice)) hits++;
+    else misses++;
+  }
+
+  return Math.max(0, (hits - misses) / correct.size);
+};
+
+// Match the pairs: correctAnswer maps each option to its matchOption
+const gradeMatching = (question, submittedValue) => {
+  if (!submittedValue || typeof submittedValue !== "object") return 0;
+
+  const pairs = Object.entries(question.correctAnswer);
+  const matched = pairs.filter(
+    ([item, match]) => String(submittedValue[item]) === String(match)
+  ).length;
+
+  return matched / pairs.length;
+};
+
+// Put in order: one share per item in its correct position
+const gradeOrdering = (question, submittedValue) => {
+  if (!Array.isArray(submittedValue)) return 0;
+
+  const expected = question.correctAnswer.map(String);
+  const inPlace = expected.filter(
+    (item, i) => String(submittedValue[i]) === item
+  ).length;
+
+  return inPlace / expected.length;
+};
+
+const graders = {
+  mcq: gradeMcq,
+  short: gradeShort,
+  truefalse: gradeTrueFalse,
+  multi: gradeMulti,
+  matching: gradeMatching,
+  ordering: gradeOrdering,
+};
+
+// Grade a submitted value: { isCorrect, fraction }.
+// Turning the fraction into marks is up to the exam's scoring policy.
+const gradeAnswer = (question, submittedValue, options = {}) => {
+  const grader = graders[question.type] || gradeShort;
+
+  let fraction = grader(question, submittedValue, options);
+  if (!question.partialCredit && fraction < 1) fraction = 0;
+
+  return { isCorrect: fraction === 1, fraction };
+};
+
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+// Marks an answer earned (after the scoring policy); answers stored before
+// awardedMarks existed only have isCorrect to go on
+const getAwardedMarks = (answer, question) =>
+  answer.awardedMarks ?? (answer.isCorrect ? question.marks : 0);
+
+module.exports = {
+  gradeAnswer,
+  getAwardedMarks,
+  getOptionValues,
+  toBoolean,
+  toCanonicalChoice,
+  toDisplayedAnswer,
+  roundMarks,
+};
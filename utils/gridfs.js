@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const { GridFSBucket } = require("mongodb");
+
+// The "uploads" GridFS bucket, shared by media uploads and generated
+// certificates. Created on first use, once the connection is open.
+let bucket = null;
+
+const getUploadsBucket = () => {
+  if (!bucket) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error("Database not connected");
+    }
+    bucket = new GridFSBucket(mongoose.connection.db, {
+      bucketName: "uploads",
+    });
+  }
+  return bucket;
+};
+
+module.exports = { getUploadsBucket };
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status, for helpers that run outside a route handler.
+// Handlers respond with `error.status || 500`, as the app error middleware does.
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+module.exports = { httpError };
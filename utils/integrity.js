@@ -0,0 +1,159 @@
+const { ExamSession, SessionEvent } = require("../models");
+
+// Events the exam client may report; connects and disconnects are only
+// recorded by the server
+const CLIENT_EVENT_TYPES = [
+  "blur",
+  "focus",
+  "visibility_hidden",
+  "visibility_visible",
+  "fullscreen_enter",
+  "fullscreen_exit",
+  "copy",
+  "paste",
+];
+
+// Summary flags and the event types each one counts
+const INTEGRITY_FLAGS = {
+  tabSwitches: ["blur", "visibility_hidden"],
+  fullscreenExits: ["fullscreen_exit"],
+  copyPaste: ["copy", "paste"],
+  disconnects: ["disconnect"],
+};
+
+const DEFAULT_THRESHOLDS = {
+  tabSwitches: 5,
+  fullscreenExits: 3,
+  copyPaste: 3,
+  disconnects: 5,
+};
+
+const getIntegrityThresholds = (exam) => {
+  const configured = exam?.integrityThresholds || {};
+  const thresholds = {};
+  for (const flag of Object.keys(INTEGRITY_FLAGS)) {
+    thresholds[flag] =
+      configured[flag] === undefined
+        ? DEFAULT_THRESHOLDS[flag]
+        : configured[flag];
+  }
+  return thresholds;
+};
+
+// Client-supplied details are kept to this many characters of JSON
+const MAX_DETAILS_LENGTH = 1000;
+
+// Proxies in front of the server, from TRUST_PROXY (a hop count). Without
+// it X-Forwarded-For is ignored: the client can write anything there.
+const getTrustedProxyHops = () =>
+  Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0);
+
+// Where a request came from. Each trusted proxy appends the address it saw
+// to X-Forwarded-For, so the client's is the one the outermost proxy added.
+const getClientIp = (req) => {
+  const hops = getTrustedProxyHops();
+  const forwarded = hops
+    ? (req.headers["x-forwarded-for"] || "")
+        .split(",")
+        .map((ip) => ip.trim())
+        .filter(Boolean)
+    : [];
+  if (forwarded.length === 0) return req.socket?.remoteAddress;
+  return forwarded[Math.max(0, forwarded.length - hops)];
+};
+
+const getClientInfo = (req) => ({
+  ip: getClientIp(req),
+  userAgent: req.headers["user-agent"],
+});
+
+// Oversized details are replaced by a truncated copy of their JSON
+const capDetails = (details) => {
+  if (details === undefined || details === null) return undefined;
+  const json = JSON.stringify(details);
+  if (json === undefined || json.length <= MAX_DETAILS_LENGTH) return details;
+  return { truncated: true, json: json.slice(0, MAX_DETAILS_LENGTH) };
+};
+
+// Count events per type and per flag; a flag is raised once its count
+// reaches the threshold
+const summarizeEvents = (events, thresholds) => {
+  const counts = {};
+  for (const event of events) {
+    counts[event.type] = (counts[event.type] || 0) + 1;
+  }
+
+  const flags = Object.entries(INTEGRITY_FLAGS).map(([flag, types]) => {
+    const count = types.reduce((sum, type) => sum + (counts[type] || 0), 0);
+    const threshold = thresholds[flag] ?? null;
+    return {
+      flag,
+      count,
+      threshold,
+      raised: threshold !== null && count >= threshold,
+    };
+  });
+
+  return {
+    counts,
+    flags,
+    flaggedForReview: flags.some((f) => f.raised),
+  };
+};
+
+// Timeline and summary for one session, oldest event first
+const getSessionIntegrity = async (session, exam) => {
+  const timeline = await SessionEvent.find({ sessionId: session._id }).sort({
+    occurredAt: 1,
+    createdAt: 1,
+  });
+  const summary = summarizeEvents(timeline, getIntegrityThresholds(exam));
+  return { timeline, summary };
+};
+
+// Log an event and bump the session's count for the flag it feeds; the flag
+// is raised once that count reaches the exam's threshold. Counts are kept on
+// the session so no event has to re-read the timeline.
+const recordSessionEvent = async (sessionId, event) => {
+  const recorded = await SessionEvent.create({
+    sessionId,
+    occurredAt: new Date().toISOString(),
+    ...event,
+    details: capDetails(event.details),
+  });
+
+  const flag = Object.keys(INTEGRITY_FLAGS).find((f) =>
+    INTEGRITY_FLAGS[f].includes(event.type)
+  );
+  if (!flag) return recorded;
+
+  const session = await ExamSession.findByIdAndUpdate(
+    sessionId,
+    { $inc: { [`integrityCounts.${flag}`]: 1 } },
+    { new: true, projection: { assignmentId: 1, integrityCounts: 1 } }
+  ).populate({
+    path: "assignmentId",
+    populate: { path: "examId", select: "integrityThresholds" },
+  });
+  if (!session) return recorded;
+
+  const threshold = getIntegrityThresholds(session.assignmentId?.examId)[flag];
+  if (threshold !== null && session.integrityCounts[flag] >= threshold) {
+    await ExamSession.updateOne(
+      { _id: sessionId },
+      { $set: { flaggedForReview: true }, $addToSet: { integrityFlags: flag } }
+    );
+  }
+
+  return recorded;
+};
+
+module.exports = {
+  CLIENT_EVENT_TYPES,
+  INTEGRITY_FLAGS,
+  getIntegrityThresholds,
+  getClientInfo,
+  summarizeEvents,
+  getSessionIntegrity,
+  recordSessionEvent,
+};
@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const {
+  Question,
+  Exam,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+const { getOptionValues, toCanonicalChoice } = require("./grading");
+const { httpError } = require("./httpError");
+
+// Share of sessions in each of the top and bottom groups (Kelley's 27%)
+const GROUP_SHARE = 0.27;
+// Fewer responses than this say nothing about an unused distractor
+const MIN_RESPONSES_FOR_DISTRACTORS = 10;
+
+const toPercent = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Submitted sessions of official exams in scope. Date range applies to
+// submittedAt (ISO strings compare in date order).
+const getSessionsInScope = async ({ examId, from, to }) => {
+  const examIds = examId
+    ? [examId]
+    : await Exam.distinct("_id", { generatedFor: null });
+  const assignmentIds = await ExamAssignment.distinct("_id", {
+    examId: { $in: examIds },
+  });
+
+  const submittedAt = { $ne: null };
+  if (from) submittedAt.$gte = new Date(from).toISOString();
+  if (to) submittedAt.$lte = new Date(to).toISOString();
+
+  return ExamSession.find(
+    { assignmentId: { $in: assignmentIds }, submittedAt },
+    { grade: 1, "result.percentage": 1, optionOrders: 1 }
+  ).lean();
+};
+
+// Top and bottom scorers. Within one exam sessions are ranked by grade;
+// across exams by percentage, since raw grades have different totals.
+const splitGroups = (sessions, byGrade) => {
+  const scoreOf = (s) => (byGrade ? s.grade : s.result?.percentage ?? 0);
+  const ranked = [...sessions].sort((a, b) => scoreOf(b) - scoreOf(a));
+  const size = Math.round(ranked.length * GROUP_SHARE);
+  if (size === 0) return { size, upper: new Set(), lower: new Set() };
+
+  return {
+    size,
+    upper: new Set(ranked.slice(0, size).map((s) => s._id.toString())),
+    lower: new Set(ranked.slice(-size).map((s) => s._id.toString())),
+  };
+};
+
+// The option (by value) an MCQ answer or answer key points at
+const toOptionValue = (values, choice) => {
+  const value = String(choice);
+  if (values.includes(value)) return value;
+  const index = Number(choice);
+  return Number.isInteger(index) && values[index] !== undefined
+    ? values[index]
+    : null;
+};
+
+const analyzeOptions = (question, answers, optionOrdersBySession) => {
+  const values = getOptionValues(question);
+  const correct = new Set(
+    []
+      .concat(question.correctAnswer)
+      .map((key) => toOptionValue(values, key))
+      .filter((v) => v !== null)
+  );
+
+  const counts = new Map(values.map((v) => [v, 0]));
+  for (const answer of answers) {
+    const optionOrder = optionOrdersBySession
+      .get(answer.sessionId.toString())
+      ?.get(question._id.toString());
+    const choice = toCanonicalChoice(
+      question,
+      answer.submittedValue,
+      optionOrder
+    );
+    const value = toOptionValue(values, choice);
+    if (value !== null) counts.set(value, counts.get(value) + 1);
+  }
+
+  return values.map((option) => ({
+    option,
+    count: counts.get(option),
+    percentage: toPercent(counts.get(option), answers.length),
+    isCorrect: correct.has(option),
+  }));
+};
+
+// Facility, discrimination and (for MCQs) option use for one question
+const analyzeQuestion = (question, answers, groups, optionOrdersBySession) => {
+  const correct = answers.filter((a) => a.isCorrect).length;
+
+  const groupFacility = (members) => {
+    const inGroup = answers.filter((a) => members.has(a.sessionId.toString()));
+    return inGroup.length > 0
+      ? inGroup.filter((a) => a.isCorrect).length / inGroup.length
+      : null;
+  };
+  const upper = groupFacility(groups.upper);
+  const lower = groupFacility(groups.lower);
+  const discriminationIndex =
+    upper === null || lower === null
+      ? null
+      : Math.round((upper - lower) * 100) / 100;
+
+  const item = {
+    questionId: question._id,
+    text: question.text,
+    type: question.type,
+    category: question.categoryId,
+    difficulty: question.difficulty,
+    attempts: answers.length,
+    correct,
+    facilityIndex: toPercent(correct, answers.length),
+    discriminationIndex,
+    optionFrequencies: null,
+    flags: [],
+  };
+
+  if (discriminationIndex !== null && discriminationIndex < 0) {
+    item.flags.push("negative_discrimination");
+  }
+
+  if (question.type === "mcq") {
+    item.optionFrequencies = analyzeOptions(
+      question,
+      answers,
+      optionOrdersBySession
+    );
+    const unused = item.optionFrequencies.filter(
+      (o) => !o.isCorrect && o.count === 0
+    );
+    if (answers.length >= MIN_RESPONSES_FOR_DISTRACTORS && unused.length) {
+      item.flags.push("unused_distractor");
+      item.unusedDistractors = unused.map((o) => o.option);
+    }
+  }
+
+  return item;
+};
+
+// Item analysis for the bank, from answers in submitted official sessions.
+// Filters: categoryId, examId, from/to (submission date).
+const buildItemAnalysis = async ({ categoryId, examId, from, to } = {}) => {
+  for (const [name, id] of Object.entries({ categoryId, examId })) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw httpError(400, `Invalid ${name}`);
+    }
+  }
+  for (const [name, date] of Object.entries({ from, to })) {
+    if (date && isNaN(new Date(date).getTime())) {
+      throw httpError(400, `Invalid ${name} date`);
+    }
+  }
+
+  const sessions = await getSessionsInScope({ examId, from, to });
+  const groups = splitGroups(sessions, Boolean(examId));
+
+  const optionOrdersBySession = new Map(
+    sessions.map((s) => [
+      s._id.toString(),
+      new Map(
+        (s.optionOrders || []).map((o) => [o.questionId.toString(), o.order])
+      ),
+    ])
+  );
+
+  const answers = await SubmittedAnswer.find(
+    { sessionId: { $in: sessions.map((s) => s._id) } },
+    { sessionId: 1, questionId: 1, submittedValue: 1, isCorrect: 1 }
+  ).lean();
+
+  const answersByQuestion = new Map();
+  for (const answer of answers) {
+    const key = answer.questionId.toString();
+    if (!answersByQuestion.has(key)) answersByQuestion.set(key, []);
+    answersByQuestion.get(key).push(answer);
+  }
+
+  // The whole bank (or category); for one exam, its questions and any
+  // question answered in its sessions
+  const questionFilter = categoryId ? { categoryId } : {};
+  if (examId) {
+    const exam = await Exam.findById(examId, { questions: 1 });
+    if (!exam) throw httpError(404, "Exam not found");
+    questionFilter._id = {
+      $in: [...exam.questions, ...answersByQuestion.keys()],
+    };
+  }
+  const questions = await Question.find(questionFilter)
+    .populate("categoryId", "name")
+    .sort({ createdAt: 1 });
+
+  const items = questions.map((question) =>
+    analyzeQuestion(
+      question,
+      answersByQuestion.get(question._id.toString()) || [],
+      groups,
+      optionOrdersBySession
+    )
+  );
+
+  return {
+    sessionsAnalysed: sessions.length,
+    groupSize: groups.size,
+    items,
+  };
+};
+
+module.exports = { buildItemAnalysis };
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { ExamAssignment, ExamSession } = require("../models");
+const { getRemainingTime } = require("./sessionTime");
+const { httpError } = require("./httpError");
+
+const EXAM_FIELDS = "name type duration questions blueprint";
+const SESSION_FIELDS =
+  "assignmentId submittedAt autoSubmitted isRunning runAt pausedAt " +
+  "totalTimeConsumed answeredQuestions questionOrder flaggedForReview " +
+  "createdAt";
+
+// Which assignments a monitor watches: one exam, or one bulk assignment
+const getMonitorScope = ({ examId, bulkAssignmentId }) => {
+  if (bulkAssignmentId) return { bulkAssignmentId };
+  if (examId && mongoose.Types.ObjectId.isValid(examId)) return { examId };
+  throw httpError(400, "examId or bulkAssignmentId required");
+};
+
+const isInScope = (scope, assignment) =>
+  scope.bulkAssignmentId
+    ? assignment.bulkAssignmentId === scope.bulkAssignmentId
+    : (assignment.examId._id || assignment.examId).toString() ===
+      scope.examId.toString();
+
+const getQuestionCount = (session, exam) => {
+  if (session?.questionOrder?.length) return session.questionOrder.length;
+  if (exam.questions?.length) return exam.questions.length;
+  return (exam.blueprint || []).reduce((sum, rule) => sum + rule.count, 0);
+};
+
+// One student's live status: connected, paused, submitted or not started
+const buildMonitorRow = (assignment, session, now = new Date()) => {
+  const exam = assignment.examId;
+
+  let status = "not_started";
+  if (session?.submittedAt) status = "submitted";
+  else if (session?.isRunning) status = "connected";
+  else if (session) status = "paused";
+
+  return {
+    assignmentId: assignment._id,
+    bulkAssignmentId: assignment.bulkAssignmentId || null,
+    examId: exam._id,
+    student: assignment.studentId,
+    sessionId: session?._id || null,
+    status,
+    answeredCount: session ? session.answeredQuestions.length : 0,
+    totalQuestions: getQuestionCount(session, exam),
+    remainingTime: session
+      ? getRemainingTime(session, exam, now)
+      : exam.type === "timed"
+      ? exam.duration
+      : null,
+    submittedAt: session?.submittedAt || null,
+    autoSubmitted: session?.autoSubmitted || false,
+    flaggedForReview: session?.flaggedForReview || false,
+  };
+};
+
+// Every assignment in scope with its latest session
+const getMonitorSnapshot = async (scope) => {
+  const assignments = await ExamAssignment.find(scope)
+    .populate("studentId", "name email")
+    .populate("examId", EXAM_FIELDS);
+
+  const sessions = await ExamSession.find({
+    assignmentId: { $in: assignments.map((a) => a._id) },
+  })
+    .select(SESSION_FIELDS)
+    .sort({ createdAt: 1 });
+
+  const latest = new Map();
+  for (const session of sessions) {
+    latest.set(session.assignmentId.toString(), session);
+  }
+
+  const now = new Date();
+  return assignments
+    .filter((a) => a.examId && a.studentId)
+    .map((a) => buildMonitorRow(a, latest.get(a._id.toString()), now));
+};
+
+// The row for one session plus its assignment, so callers can match it
+// against each monitor's scope
+const getMonitorRow = async (sessionId) => {
+  const session = await ExamSession.findById(sessionId)
+    .select(SESSION_FIELDS)
+    .populate({
+      path: "assignmentId",
+      populate: [
+        { path: "studentId", select: "name email" },
+        { path: "examId", select: EXAM_FIELDS },
+      ],
+    });
+  if (!session) return null;
+
+  const assignment = session.assignmentId;
+  return { assignment, row: buildMonitorRow(assignment, session) };
+};
+
+module.exports = {
+  getMonitorScope,
+  isInScope,
+  buildMonitorRow,
+  getMonitorSnapshot,
+  getMonitorRow,
+};
@@ -0,0 +1,41 @@
+const { ExamSession } = require("../models");
+const { submitSession } = require("./submitSession");
+const { pauseViewing } = require("./questionTime");
+
+// Stop a running session's clock at `at`: bank the stretch since runAt into
+// totalTimeConsumed, bank time on the question on screen, and auto-submit a
+// timed session whose time ran out. Shared by socket disconnects and
+// takeovers. Returns { session, ranFor, submitted }, or null when the
+// session wasn't running.
+const pauseSession = async (sessionId, { at = new Date() } = {}) => {
+  const session = await ExamSession.findById(sessionId).populate({
+    path: "assignmentId",
+    populate: { path: "examId", select: "type duration" },
+  });
+  if (!session || session.submittedAt || !session.isRunning) return null;
+
+  const exam = session.assignmentId.examId;
+  const runAtTime = session.runAt ? new Date(session.runAt) : at;
+
+  // Time spent in this active run (in seconds)
+  const ranFor = Math.max(0, Math.floor((at - runAtTime) / 1000));
+
+  // Bank time on the question on screen before pausing
+  pauseViewing(session, at);
+
+  session.isRunning = false;
+  session.pausedAt = at.toISOString();
+  session.totalTimeConsumed += ranFor;
+  // runAt remains the same (for resume logic)
+  await session.save();
+
+  // Paused right at (or after) the deadline → finish it now
+  let submitted = null;
+  if (exam.type === "timed" && session.totalTimeConsumed >= exam.duration) {
+    submitted = await submitSession(sessionId, { auto: true });
+  }
+
+  return { session, ranFor, submitted };
+};
+
+module.exports = { pauseSession };
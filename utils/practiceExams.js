@@ -0,0 +1,237 @@
+const {
+  Question,
+  Exam,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+const { shuffle } = require("./questionOrder");
+const { httpError } = require("./httpError");
+
+// An area (category + difficulty) is weak below this share of correct answers
+const WEAK_ACCURACY = 0.7;
+// Used when nothing is below the bar: practise the lowest-scoring areas
+const FALLBACK_AREAS = 3;
+
+const PRACTICE_DEFAULTS = {
+  questionCount: 20,
+  maxQuestions: 100,
+  expiryDays: 7,
+  attempts: 1,
+  passingPercentage: 75,
+};
+
+// Accuracy per category and difficulty over every answer the student has
+// given, plus the questions they last got wrong and all they were served
+const analyzeWeakAreas = async (studentId) => {
+  const assignments = await ExamAssignment.find({ studentId }, { _id: 1 });
+  const sessions = await ExamSession.find(
+    { assignmentId: { $in: assignments.map((a) => a._id) } },
+    { questionOrder: 1 }
+  );
+  const answers = await SubmittedAnswer.find(
+    { sessionId: { $in: sessions.map((s) => s._id) } },
+    { questionId: 1, isCorrect: 1, updatedAt: 1 }
+  )
+    .sort({ updatedAt: 1 })
+    .populate({
+      path: "questionId",
+      select: "categoryId difficulty",
+      populate: { path: "categoryId", select: "name" },
+    });
+
+  const seen = new Set(
+    sessions.flatMap((s) => s.questionOrder.map((id) => id.toString()))
+  );
+  const latest = new Map();
+  const areas = new Map();
+
+  for (const answer of answers) {
+    const question = answer.questionId;
+    if (!question?.categoryId) continue; // question deleted since
+
+    const questionId = question._id.toString();
+    seen.add(questionId);
+    latest.set(questionId, answer.isCorrect);
+
+    const key = `${question.categoryId._id}:${question.difficulty}`;
+    if (!areas.has(key)) {
+      areas.set(key, {
+        categoryId: question.categoryId._id,
+        category: question.categoryId.name,
+        difficulty: question.difficulty,
+        answered: 0,
+        correct: 0,
+      });
+    }
+    const area = areas.get(key);
+    area.answered += 1;
+    if (answer.isCorrect) area.correct += 1;
+  }
+
+  const ranked = [...areas.values()]
+    .map((area) => ({
+      ...area,
+      accuracy: Math.round((area.correct / area.answered) * 10000) / 10000,
+      weak: area.correct / area.answered < WEAK_ACCURACY,
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered);
+
+  const missed = new Set(
+    [...latest].filter(([, isCorrect]) => !isCorrect).map(([id]) => id)
+  );
+
+  return { areas: ranked, missed, seen };
+};
+
+// Weak areas to practise, weakest first, optionally within one category
+const pickPracticeAreas = (areas, categoryId) => {
+  const inScope = categoryId
+    ? areas.filter((a) => a.categoryId.toString() === String(categoryId))
+    : areas;
+
+  const weak = inScope.filter((a) => a.weak);
+  return weak.length > 0 ? weak : inScope.slice(0, FALLBACK_AREAS);
+};
+
+// Take questions in turn from each group so every area gets its share
+const interleave = (groups) => {
+  const picked = [];
+  const longest = Math.max(0, ...groups.map((g) => g.length));
+  for (let i = 0; i < longest; i++) {
+    for (const group of groups) if (i < group.length) picked.push(group[i]);
+  }
+  return picked;
+};
+
+// Bank questions from the chosen areas: ones the student last got wrong
+// first, then ones they've never been served, then the rest
+const selectPracticeQuestions = async (areas, { missed, seen }, count) => {
+  const candidates = await Question.find(
+    {
+      $or: areas.map((a) => ({
+        categoryId: a.categoryId,
+        difficulty: a.difficulty,
+      })),
+    },
+    { _id: 1, categoryId: 1, difficulty: 1 }
+  );
+
+  const areaIndex = (q) =>
+    areas.findIndex(
+      (a) =>
+        a.categoryId.toString() === q.categoryId.toString() &&
+        a.difficulty === q.difficulty
+    );
+  const tierOf = (q) => {
+    const id = q._id.toString();
+    if (missed.has(id)) return 0;
+    if (!seen.has(id)) return 1;
+    return 2;
+  };
+
+  const tiers = [0, 1, 2].map((tier) =>
+    interleave(
+      areas.map((_, index) =>
+        shuffle(
+          candidates.filter((q) => tierOf(q) === tier && areaIndex(q) === index)
+        )
+      )
+    )
+  );
+
+  return tiers.flat().slice(0, count);
+};
+
+// Build a practice exam for the student from their weak areas and assign it
+// to them. Practice exams carry `generatedFor`, so they stay out of the
+// exam catalogue and official results.
+const createPracticeExam = async (
+  student,
+  { questionCount = PRACTICE_DEFAULTS.questionCount, categoryId } = {}
+) => {
+  const count = Number(questionCount);
+  if (
+    !Number.isInteger(count) ||
+    count < 1 ||
+    count > PRACTICE_DEFAULTS.maxQuestions
+  ) {
+    throw httpError(
+      400,
+      `questionCount must be between 1 and ${PRACTICE_DEFAULTS.maxQuestions}`
+    );
+  }
+
+  const history = await analyzeWeakAreas(student._id);
+  const areas = pickPracticeAreas(history.areas, categoryId);
+  if (areas.length === 0) {
+    throw httpError(
+      400,
+      "No answer history to practise from yet; complete an exam first"
+    );
+  }
+
+  const questions = await selectPracticeQuestions(areas, history, count);
+  if (questions.length === 0) {
+    throw httpError(400, "No questions in the bank for your weak areas");
+  }
+
+  const now = new Date();
+  const closesAt = new Date(now);
+  closesAt.setUTCDate(closesAt.getUTCDate() + PRACTICE_DEFAULTS.expiryDays);
+
+  const exam = await Exam.create({
+    name: `Practice: ${[...new Set(areas.map((a) => a.category))].join(", ")}`,
+    description: "Generated from your weak areas",
+    type: "untimed",
+    categoryId: areas[0].categoryId,
+    duration: 0,
+    questions: questions.map((q) => q._id),
+    shuffleQuestions: true,
+    defaultAttempts: PRACTICE_DEFAULTS.attempts,
+    defaultExpiry: PRACTICE_DEFAULTS.expiryDays,
+    passingPercentage: PRACTICE_DEFAULTS.passingPercentage,
+    reviewMode: "practice",
+    opensAt: now.toISOString(),
+    closesAt: closesAt.toISOString(),
+    generatedFor: student._id,
+  });
+
+  const assignment = await ExamAssignment.create({
+    examId: exam._id,
+    studentId: student._id,
+    allowedAttempts: PRACTICE_DEFAULTS.attempts,
+    opensAt: exam.opensAt,
+    closesAt: exam.closesAt,
+    isReviewAllowed: true,
+    status: "active",
+    attemptsUsed: 0,
+  });
+
+  return {
+    exam,
+    assignment,
+    areas,
+    requested: count,
+    questionCount: questions.length,
+  };
+};
+
+// Assignment filter that keeps official and practice work apart in lists:
+// official exams by default, generated practice exams with `practice`
+const getExamKindFilter = async (practice = false) => ({
+  examId: {
+    $in: await Exam.distinct("_id", {
+      generatedFor: practice ? { $ne: null } : null,
+    }),
+  },
+});
+
+module.exports = {
+  WEAK_ACCURACY,
+  getExamKindFilter,
+  analyzeWeakAreas,
+  pickPracticeAreas,
+  selectPracticeQuestions,
+  createPracticeExam,
+};
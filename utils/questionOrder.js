@@ -0,0 +1,140 @@
+// Per-session ordering of questions and their options.
+// Orders are created once when a session starts and stored on the session,
+// so a student sees the same sequence across resumes.
+
+// Fisher-Yates shuffle, returns a new array
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Matching questions shuffle the column students pick from; every other
+// type shuffles its options
+const getShuffledField = (question) =>
+  question.type === "matching" ? "matchOptions" : "options";
+
+const countOptions = (question) =>
+  question.type === "matching"
+    ? question.matchOptions?.length || 0
+    : Math.max(
+        question.options?.length || 0,
+        question.optionsWithImgs?.length || 0
+      );
+
+// Ordering and matching questions give the answer away in authoring order,
+// so they're always shuffled; choice questions only when the exam asks for it
+const shouldShuffleOptions = (exam, question) => {
+  if (["ordering", "matching"].includes(question.type)) return true;
+  return exam.shuffleOptions && ["mcq", "multi"].includes(question.type);
+};
+
+// Build the stored order for a new session from a populated exam,
+// or from the questions drawn for it by a blueprint
+const createSessionOrder = (exam, questions = exam.questions || []) => {
+  const questionOrder = (
+    exam.shuffleQuestions ? shuffle(questions) : questions
+  ).map((q) => q._id);
+
+  const optionOrders = [];
+  for (const question of questions) {
+    const count = countOptions(question);
+    if (!shouldShuffleOptions(exam, question) || count < 2) continue;
+
+    optionOrders.push({
+      questionId: question._id,
+      order: shuffle([...Array(count).keys()]),
+    });
+  }
+
+  return { questionOrder, optionOrders };
+};
+
+// Questions in this session, in the order the student sees them.
+// Populated docs come back when `questionOrder` is populated; sessions started
+// before orders were stored fall back to the exam's own list. Questions
+// deleted from the bank since populate as null and are left out.
+const getSessionQuestions = (session, exam) =>
+  (session.questionOrder?.length
+    ? session.questionOrder
+    : exam.questions || []
+  ).filter(Boolean);
+
+// Works whether or not the question lists are populated
+const getSessionQuestionIds = (session, exam) =>
+  getSessionQuestions(session, exam).map((q) => q._id.toString());
+
+// Displayed position → authoring index, or null when options aren't shuffled
+const getOptionOrder = (session, questionId) => {
+  const entry = (session.optionOrders || []).find(
+    (o) => o.questionId.toString() === questionId.toString()
+  );
+  return entry ? entry.order : null;
+};
+
+// Option order for a question served on its own rather than in a session
+// (the review queue): only ordering and matching questions are shuffled. An
+// order already given is kept while it still fits the question.
+const getStandaloneOptionOrder = (question, current = null) => {
+  const count = countOptions(question);
+  if (!shouldShuffleOptions({}, question) || count < 2) return null;
+  return current?.length === count
+    ? current
+    : shuffle([...Array(count).keys()]);
+};
+
+// Question with its options in the given order (displayed position →
+// authoring index), as a plain object
+const applyOptionOrder = (question, order) => {
+  if (!question) return null;
+
+  const plain = question.toObject ? question.toObject() : { ...question };
+  if (!order?.length) return plain;
+
+  const reorder = (list) =>
+    list?.length
+      ? order.map((i) => list[i]).filter((o) => o !== undefined)
+      : list;
+
+  if (getShuffledField(question) === "matchOptions") {
+    plain.matchOptions = reorder(plain.matchOptions);
+  } else {
+    plain.options = reorder(plain.options);
+    plain.optionsWithImgs = reorder(plain.optionsWithImgs);
+  }
+
+  return plain;
+};
+
+// Question as this session presents it, with options in the stored order
+const presentQuestion = (session, question) =>
+  question
+    ? applyOptionOrder(question, getOptionOrder(session, question._id))
+    : null;
+
+// What to populate on an exam for this caller. Bank questions list their
+// options in authoring order, which gives ordering and matching answers
+// away, so students get question ids and see questions only as a session
+// presents them.
+const getExamPopulate = (role) =>
+  role === "admin"
+    ? [
+        { path: "categoryId" },
+        { path: "questions", populate: { path: "categoryId" } },
+      ]
+    : [{ path: "categoryId" }];
+
+module.exports = {
+  shuffle,
+  createSessionOrder,
+  getSessionQuestions,
+  getSessionQuestionIds,
+  getOptionOrder,
+  getStandaloneOptionOrder,
+  applyOptionOrder,
+  presentQuestion,
+  getExamPopulate,
+};
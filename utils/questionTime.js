@@ -0,0 +1,67 @@
+const { ExamSession } = require("../models");
+const { getSessionQuestionIds } = require("./questionOrder");
+const { httpError } = require("./httpError");
+
+// Per-question time on task. The session remembers which question is on
+// screen and since when; time is credited to it when the student moves on,
+// the session pauses or it's submitted. While paused `since` is null, so
+// time away from the exam is never counted.
+
+// Credit the time since `since` to the question on screen
+const settleViewingTime = (session, now = new Date()) => {
+  const { questionId, since } = session.viewingQuestion || {};
+  if (!questionId || !since) return 0;
+
+  const seconds = Math.max(0, Math.floor((now - new Date(since)) / 1000));
+  const entry = session.questionTimes.find(
+    (t) => t.questionId.toString() === questionId.toString()
+  );
+  if (entry) {
+    entry.seconds += seconds;
+  } else {
+    session.questionTimes.push({ questionId, seconds });
+  }
+
+  session.viewingQuestion.since = session.isRunning ? now.toISOString() : null;
+  return seconds;
+};
+
+// Pause: bank the time so far, remember the question for the resume
+// (the exam socket restarts its clock when it reconnects)
+const pauseViewing = (session, now = new Date()) => {
+  settleViewingTime(session, now);
+  session.viewingQuestion.since = null;
+};
+
+// Student moved to another question (socket event or REST call)
+const viewQuestion = async (sessionId, questionId, now = new Date()) => {
+  const session = await ExamSession.findById(sessionId).populate({
+    path: "assignmentId",
+    populate: { path: "examId", select: "questions" },
+  });
+
+  if (!session) throw httpError(404, "Session not found");
+  if (session.submittedAt) throw httpError(400, "Exam already submitted");
+  if (
+    !getSessionQuestionIds(session, session.assignmentId.examId).includes(
+      String(questionId)
+    )
+  ) {
+    throw httpError(400, "Invalid question for this exam");
+  }
+
+  settleViewingTime(session, now);
+  session.viewingQuestion = {
+    questionId,
+    since: session.isRunning ? now.toISOString() : null,
+  };
+  await session.save();
+
+  return session;
+};
+
+module.exports = {
+  settleViewingTime,
+  pauseViewing,
+  viewQuestion,
+};
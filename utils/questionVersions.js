@@ -0,0 +1,164 @@
+const { Question, QuestionRevision } = require("../models");
+const { presentQuestion } = require("./questionOrder");
+
+// Everything a student sees or is marked on
+const SNAPSHOT_FIELDS = [
+  "text",
+  "categoryId",
+  "type",
+  "marks",
+  "unit",
+  "difficulty",
+  "feedback",
+  "correctAnswer",
+  "plusT",
+  "minusT",
+  "options",
+  "optionsWithImgs",
+  "matchOptions",
+  "partialCredit",
+  "questionImg",
+];
+
+const takeSnapshot = (question) => {
+  const raw = question.toObject({ transform: false, depopulate: true });
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) snapshot[field] = raw[field];
+  return snapshot;
+};
+
+// Whether an update changes anything a student sees or is marked on.
+// Updates that don't keep the current version.
+const changesSnapshot = (question, updateData) => {
+  const draft = Question.hydrate(
+    question.toObject({ transform: false, depopulate: true })
+  );
+  draft.set(updateData);
+
+  const before = takeSnapshot(question);
+  const after = takeSnapshot(draft);
+  return SNAPSHOT_FIELDS.some(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+};
+
+// Store the question's current content as its current version
+const recordRevision = (question, userId = null) =>
+  QuestionRevision.create({
+    questionId: question._id,
+    version: question.version,
+    snapshot: takeSnapshot(question),
+    createdBy: userId,
+  });
+
+// Questions created before versioning have no revision for their current
+// content yet; record it the first time it's needed
+const ensureRevision = (question) =>
+  QuestionRevision.findOneAndUpdate(
+    { questionId: question._id, version: question.version },
+    { $setOnInsert: { snapshot: takeSnapshot(question) } },
+    { upsert: true, new: true }
+  );
+
+// Versions to pin on a new session, one per question it serves. Revisions
+// still missing for those versions are recorded in one batch.
+const pinQuestionVersions = async (questions) => {
+  const pins = questions.map((q) => ({
+    questionId: q._id,
+    version: q.version,
+  }));
+  if (pins.length === 0) return pins;
+
+  const recorded = await QuestionRevision.find(
+    { $or: pins },
+    { questionId: 1, version: 1 }
+  );
+  const pinKey = (p) => `${p.questionId}:${p.version}`;
+  const existing = new Set(recorded.map(pinKey));
+
+  const missing = questions.filter(
+    (q) => !existing.has(pinKey({ questionId: q._id, version: q.version }))
+  );
+  if (missing.length > 0) {
+    await QuestionRevision.bulkWrite(
+      missing.map((q) => ({
+        updateOne: {
+          filter: { questionId: q._id, version: q.version },
+          update: { $setOnInsert: { snapshot: takeSnapshot(q) } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  return pins;
+};
+
+const getPinnedVersion = (session, questionId) => {
+  const pin = (session.questionVersions || []).find(
+    (p) => p.questionId.toString() === questionId.toString()
+  );
+  return pin ? pin.version : null;
+};
+
+// Questions as they were when the session pinned them. Questions edited since
+// are swapped for documents built from the pinned revision; the rest are
+// returned as they are.
+const resolvePinnedQuestions = async (session, questions) => {
+  const stale = questions.filter((q) => {
+    const pinned = getPinnedVersion(session, q._id);
+    return pinned !== null && pinned !== q.version;
+  });
+  if (stale.length === 0) return questions;
+
+  const revisions = await QuestionRevision.find({
+    $or: stale.map((q) => ({
+      questionId: q._id,
+      version: getPinnedVersion(session, q._id),
+    })),
+  });
+
+  const pinnedDocs = new Map();
+  for (const revision of revisions) {
+    const current = stale.find((q) => q._id.equals(revision.questionId));
+    const doc = Question.hydrate({
+      ...current.toObject({ transform: false, depopulate: true }),
+      ...revision.snapshot,
+      version: revision.version,
+    });
+    pinnedDocs.set(revision.questionId.toString(), doc);
+  }
+  await Question.populate([...pinnedDocs.values()], { path: "categoryId" });
+
+  return questions.map((q) => pinnedDocs.get(q._id.toString()) || q);
+};
+
+// A question as this session serves it: pinned version, session option order
+const serveQuestion = async (session, question) => {
+  if (!question) return null;
+  const [pinned] = await resolvePinnedQuestions(session, [question]);
+  return presentQuestion(session, pinned);
+};
+
+// Field-by-field differences between two revisions
+const diffRevisions = (from, to) =>
+  SNAPSHOT_FIELDS.filter(
+    (field) =>
+      JSON.stringify(from.snapshot[field]) !==
+      JSON.stringify(to.snapshot[field])
+  ).map((field) => ({
+    field,
+    from: from.snapshot[field],
+    to: to.snapshot[field],
+  }));
+
+module.exports = {
+  changesSnapshot,
+  recordRevision,
+  ensureRevision,
+  pinQuestionVersions,
+  getPinnedVersion,
+  resolvePinnedQuestions,
+  serveQuestion,
+  diffRevisions,
+};
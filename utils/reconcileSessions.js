@@ -0,0 +1,68 @@
+const { ExamSession } = require("../models");
+const { pauseSession } = require("./pauseSession");
+
+// When we last heard from a session, and how
+const getLastActivity = (session, now = new Date()) => {
+  const candidates = [
+    ["run started", session.runAt],
+    ["paused", session.pausedAt],
+    ["heartbeat", session.lastHeartbeatAt],
+    ["answer", session.lastAnsweredAt],
+  ]
+    .filter(([, at]) => at)
+    .map(([source, at]) => ({ source, at: new Date(at) }))
+    .filter(({ at }) => !isNaN(at) && at <= now);
+
+  if (candidates.length === 0) return { source: "now", at: now };
+  return candidates.reduce((latest, c) => (c.at > latest.at ? c : latest));
+};
+
+// Settle sessions still marked running with no socket behind them (the
+// server stopped while they were open). Each is paused at its last known
+// activity rather than now, so downtime isn't charged to the student.
+// Run on startup before the exam timer, and on shutdown after sockets close.
+// `isConnected` spares sessions a live socket has picked up meanwhile.
+const reconcileRunningSessions = async ({
+  reason = "startup",
+  isConnected = () => false,
+} = {}) => {
+  const sessions = await ExamSession.find({
+    isRunning: true,
+    submittedAt: null,
+  });
+
+  const adjustments = [];
+  for (const session of sessions) {
+    if (isConnected(session._id.toString())) continue;
+
+    const { source, at } = getLastActivity(session);
+    const paused = await pauseSession(session._id, { at });
+    if (!paused) continue;
+
+    const adjustment = {
+      sessionId: session._id.toString(),
+      lastActivity: source,
+      pausedAt: at.toISOString(),
+      addedSeconds: paused.ranFor,
+      totalTimeConsumed: paused.session.totalTimeConsumed,
+      autoSubmitted: Boolean(paused.submitted),
+    };
+    adjustments.push(adjustment);
+
+    console.log(
+      `Exam session ${adjustment.sessionId} RECONCILED (${reason}). ` +
+        `Paused at last ${source} ${adjustment.pausedAt}, ` +
+        `+${adjustment.addedSeconds}s, Total: ${adjustment.totalTimeConsumed}s` +
+        (adjustment.autoSubmitted ? ", AUTO-SUBMITTED (time expired)" : "")
+    );
+  }
+
+  if (sessions.length > 0) {
+    console.log(
+      `Reconciled ${adjustments.length} of ${sessions.length} running sessions (${reason})`
+    );
+  }
+  return adjustments;
+};
+
+module.exports = { getLastActivity, reconcileRunningSessions };
@@ -0,0 +1,206 @@
+const {
+  Exam,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+const { gradeAnswer, getAwardedMarks } = require("./grading");
+const { getOptionOrder } = require("./questionOrder");
+const {
+  getScoringPolicy,
+  scoreAnswer,
+  computeSessionScore,
+} = require("./scoring");
+const {
+  computeSessionResult,
+  loadScoringContext,
+  recalculateSession,
+} = require("./results");
+
+// Fields that decide how answers to a question are marked, and how much
+// they count towards totals (category weights, byCategory)
+const ANSWER_KEY_FIELDS = [
+  "type",
+  "marks",
+  "categoryId",
+  "correctAnswer",
+  "plusT",
+  "minusT",
+  "options",
+  "optionsWithImgs",
+  "matchOptions",
+  "partialCredit",
+];
+
+const hasAnswerKeyChanged = (question, updateData) =>
+  ANSWER_KEY_FIELDS.some(
+    (field) =>
+      updateData[field] !== undefined &&
+      JSON.stringify(updateData[field]) !== JSON.stringify(question[field])
+  );
+
+const SESSION_POPULATE = {
+  path: "assignmentId",
+  populate: [{ path: "examId" }, { path: "studentId", select: "name email" }],
+};
+
+// Submitted sessions whose question set includes the question, answered or
+// not: its marks and category feed their totals and pass/fail either way.
+// Sessions from before question orders were stored use the exam's list.
+const findSubmittedSessions = async (questionId) => {
+  const examIds = await Exam.distinct("_id", { questions: questionId });
+  const assignmentIds = await ExamAssignment.distinct("_id", {
+    examId: { $in: examIds },
+  });
+
+  return ExamSession.find({
+    submittedAt: { $ne: null },
+    $or: [
+      { questionOrder: questionId },
+      { questionOrder: { $size: 0 }, assignmentId: { $in: assignmentIds } },
+    ],
+  }).populate(SESSION_POPULATE);
+};
+
+// Grade and result a session would end up with, given regraded answers
+const previewSession = async (sessionId, question, regraded) => {
+  const { session, exam, questions, answers } = await loadScoringContext(
+    sessionId
+  );
+
+  const sessionQuestions = questions.map((q) =>
+    q._id.equals(question._id) ? question : q
+  );
+  const sessionAnswers = answers.map((a) => {
+    const change = regraded.get(a._id.toString());
+    return change
+      ? { ...a.toObject({ transform: false }), ...change.after }
+      : a;
+  });
+
+  if (session.submittedAt) {
+    const result = computeSessionResult(exam, sessionQuestions, sessionAnswers);
+    return { grade: result.score, passed: result.passed };
+  }
+
+  return {
+    grade: computeSessionScore(
+      getScoringPolicy(exam),
+      sessionQuestions,
+      sessionAnswers
+    ),
+    passed: null,
+  };
+};
+
+// Re-run grading for every answer to a question against its answer key, then
+// re-total every submitted session that includes the question, and any
+// in-progress session whose answer changed (grade, and result/pass-fail).
+// `question` may carry a proposed key that isn't saved yet, for a dry run.
+// Manually overridden answers are left alone. A saved regrade also moves
+// every session pinned to an earlier version of the question onto this one,
+// so answers given later are marked, and review shows, the corrected key.
+const regradeQuestion = async (question, { dryRun = false } = {}) => {
+  const answers = await SubmittedAnswer.find({
+    questionId: question._id,
+  }).populate({ path: "sessionId", populate: SESSION_POPULATE });
+
+  const regraded = new Map();
+  let skippedManual = 0;
+
+  for (const answer of answers) {
+    const session = answer.sessionId;
+    if (!session) continue;
+    if (answer.isManuallyGraded) {
+      skippedManual++;
+      continue;
+    }
+
+    const policy = getScoringPolicy(session.assignmentId.examId);
+    const { isCorrect, fraction } = gradeAnswer(
+      question,
+      answer.submittedValue,
+      { optionOrder: getOptionOrder(session, question._id) }
+    );
+    const awardedMarks = scoreAnswer(policy, question, fraction);
+
+    const before = {
+      isCorrect: answer.isCorrect,
+      awardedMarks: getAwardedMarks(answer, question),
+    };
+    if (
+      before.isCorrect === isCorrect &&
+      before.awardedMarks === awardedMarks
+    ) {
+      continue;
+    }
+
+    regraded.set(answer._id.toString(), {
+      answer,
+      before,
+      after: { isCorrect, awardedMarks },
+    });
+  }
+
+  // Outcome per affected session, worked out before anything is saved
+  const affected = new Map();
+  for (const session of await findSubmittedSessions(question._id)) {
+    affected.set(session._id.toString(), session);
+  }
+  for (const { answer } of regraded.values()) {
+    affected.set(answer.sessionId._id.toString(), answer.sessionId);
+  }
+
+  const sessions = [];
+  for (const session of affected.values()) {
+    const after = await previewSession(session._id, question, regraded);
+    const student = session.assignmentId.studentId;
+
+    sessions.push({
+      sessionId: session._id,
+      student: student
+        ? { id: student._id, name: student.name, email: student.email }
+        : null,
+      submitted: Boolean(session.submittedAt),
+      previousGrade: session.grade,
+      newGrade: after.grade,
+      previousPassed: session.result ? session.result.passed : null,
+      newPassed: after.passed,
+      outcomeChanged:
+        Boolean(session.result) &&
+        after.passed !== null &&
+        session.result.passed !== after.passed,
+    });
+  }
+
+  if (!dryRun) {
+    await ExamSession.updateMany(
+      { "questionVersions.questionId": question._id },
+      { $set: { "questionVersions.$.version": question.version } }
+    );
+
+    for (const { answer, after } of regraded.values()) {
+      answer.isCorrect = after.isCorrect;
+      answer.awardedMarks = after.awardedMarks;
+      await answer.save();
+    }
+    await SubmittedAnswer.updateMany(
+      { questionId: question._id, isManuallyGraded: { $ne: true } },
+      { $set: { questionVersion: question.version } }
+    );
+    for (const session of affected.values()) {
+      await recalculateSession(session._id);
+    }
+  }
+
+  return {
+    questionId: question._id,
+    dryRun,
+    answersChecked: answers.length,
+    answersChanged: regraded.size,
+    skippedManual,
+    sessions,
+  };
+};
+
+module.exports = { ANSWER_KEY_FIELDS, hasAnswerKeyChanged, regradeQuestion };
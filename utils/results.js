@@ -0,0 +1,150 @@
+const { ExamSession, SubmittedAnswer } = require("../models");
+const { roundMarks } = require("./grading");
+const { getSessionQuestions } = require("./questionOrder");
+const { resolvePinnedQuestions } = require("./questionVersions");
+const {
+  getScoringPolicy,
+  getQuestionValue,
+  scoreQuestion,
+  mapAnswersByQuestion,
+  computeSessionScore,
+  idOf,
+} = require("./scoring");
+
+const toPercentage = (score, totalMarks) =>
+  totalMarks > 0 ? roundMarks((score / totalMarks) * 100) : 0;
+
+// Totals for one breakdown group (a category or a difficulty)
+const summarizeGroup = (entries) => {
+  const totalMarks = roundMarks(entries.reduce((sum, e) => sum + e.value, 0));
+  const score = roundMarks(entries.reduce((sum, e) => sum + e.score, 0));
+
+  return {
+    totalQuestions: entries.length,
+    answered: entries.filter((e) => e.answer).length,
+    correct: entries.filter((e) => e.answer?.isCorrect).length,
+    totalMarks,
+    score,
+    percentage: toPercentage(score, totalMarks),
+  };
+};
+
+const groupBy = (entries, keyOf) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups.entries()];
+};
+
+// Result of a finished session: final score under the exam's scoring policy,
+// percentage of the (weighted) marks available, pass/fail against
+// passingPercentage, and a breakdown by category and difficulty
+const computeSessionResult = (exam, questions, answers) => {
+  const policy = getScoringPolicy(exam);
+  const answersByQuestion = mapAnswersByQuestion(answers);
+
+  const entries = questions.map((question) => {
+    const answer = answersByQuestion.get(idOf(question)) || null;
+    return {
+      question,
+      answer,
+      value: getQuestionValue(policy, question),
+      score: scoreQuestion(policy, question, answer, { final: true }),
+    };
+  });
+
+  const totalMarks = roundMarks(entries.reduce((sum, e) => sum + e.value, 0));
+  const score = computeSessionScore(policy, questions, answers, {
+    final: true,
+  });
+  const percentage = toPercentage(score, totalMarks);
+
+  return {
+    totalMarks,
+    score,
+    percentage,
+    passed: percentage >= exam.passingPercentage,
+    byCategory: groupBy(entries, (e) => idOf(e.question.categoryId)).map(
+      ([categoryId, group]) => ({ categoryId, ...summarizeGroup(group) })
+    ),
+    byDifficulty: groupBy(entries, (e) => e.question.difficulty).map(
+      ([difficulty, group]) => ({ difficulty, ...summarizeGroup(group) })
+    ),
+    computedAt: new Date().toISOString(),
+  };
+};
+
+// Exam, questions (as the session pinned them) and answers needed to score
+// a session
+const loadScoringContext = async (sessionId) => {
+  const session = await ExamSession.findById(sessionId)
+    .populate({
+      path: "assignmentId",
+      populate: { path: "examId", populate: { path: "questions" } },
+    })
+    .populate("questionOrder");
+  if (!session) return null;
+
+  const exam = session.assignmentId.examId;
+  const questions = await resolvePinnedQuestions(
+    session,
+    getSessionQuestions(session, exam)
+  );
+  const answers = await SubmittedAnswer.find({ sessionId: session._id });
+
+  return { session, exam, questions, answers };
+};
+
+// Re-total a session after its answers changed outside normal submission:
+// the running grade while in progress, the grade and full result once submitted
+const recalculateSession = async (sessionId) => {
+  const context = await loadScoringContext(sessionId);
+  if (!context) return null;
+
+  const { session, exam, questions, answers } = context;
+
+  if (session.submittedAt) {
+    const result = computeSessionResult(exam, questions, answers);
+    session.grade = result.score;
+    session.result = result;
+  } else {
+    session.grade = computeSessionScore(
+      getScoringPolicy(exam),
+      questions,
+      answers
+    );
+  }
+
+  await session.save();
+  return session;
+};
+
+// Results of submitted attempts, keyed by assignment id
+const getResultsByAssignment = async (assignmentIds) => {
+  const sessions = await ExamSession.find(
+    { assignmentId: { $in: assignmentIds }, submittedAt: { $ne: null } },
+    { assignmentId: 1, submittedAt: 1, result: 1 }
+  ).sort({ submittedAt: 1 });
+
+  const results = new Map();
+  for (const session of sessions) {
+    const key = session.assignmentId.toString();
+    if (!results.has(key)) results.set(key, []);
+    results.get(key).push({
+      sessionId: session._id,
+      submittedAt: session.submittedAt,
+      result: session.result,
+    });
+  }
+  return results;
+};
+
+module.exports = {
+  computeSessionResult,
+  loadScoringContext,
+  recalculateSession,
+  getResultsByAssignment,
+};
@@ -0,0 +1,233 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const mongoose = require("mongoose");
+const ExcelJS = require("exceljs");
+const {
+  Category,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+const { getAwardedMarks } = require("./grading");
+const { getScoringPolicy, getQuestionValue } = require("./scoring");
+const { getExamKindFilter } = require("./practiceExams");
+const { httpError } = require("./httpError");
+
+// Assignments covered by an export: one exam, one bulk assignment cohort or
+// one student
+const getExportFilter = ({ examId, bulkAssignmentId, studentId }) => {
+  const given = [examId, bulkAssignmentId, studentId].filter(Boolean);
+  if (given.length !== 1) {
+    throw httpError(
+      400,
+      "Give exactly one of examId, bulkAssignmentId or studentId"
+    );
+  }
+
+  if (bulkAssignmentId) return { bulkAssignmentId };
+
+  const [field, id] = examId ? ["examId", examId] : ["studentId", studentId];
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw httpError(400, `Invalid ${field}`);
+  }
+  return { [field]: id };
+};
+
+// Assignments (with student and exam) and the categories to give columns.
+// Official exams only; practice attempts never appear in an export.
+// Sessions themselves are streamed later.
+const loadExportContext = async (filter) => {
+  const assignments = await ExamAssignment.find({
+    $and: [filter, await getExamKindFilter(false)],
+  })
+    .populate("studentId", "name email")
+    .populate("examId", "name scoringPolicy");
+  const assignmentById = new Map(
+    assignments
+      .filter((a) => a.studentId && a.examId)
+      .map((a) => [a._id.toString(), a])
+  );
+
+  const sessionFilter = {
+    assignmentId: { $in: [...assignmentById.keys()] },
+    submittedAt: { $ne: null },
+  };
+  const categoryIds = await ExamSession.distinct(
+    "result.byCategory.categoryId",
+    sessionFilter
+  );
+  const categories = await Category.find({ _id: { $in: categoryIds } })
+    .sort({ name: 1 })
+    .lean();
+
+  return { assignmentById, sessionFilter, categories };
+};
+
+const attemptHeader = (categories) => [
+  "Student",
+  "Email",
+  "Exam",
+  "Attempt",
+  "Started",
+  "Submitted",
+  "Time used (s)",
+  "Score",
+  "Total marks",
+  "Percentage",
+  "Passed",
+  ...categories.flatMap((c) => [`${c.name} score`, `${c.name} %`]),
+];
+
+// Submitted sessions in attempt order, with the attempt number on each.
+// Reads through a cursor so large cohorts never sit in memory at once.
+async function* eachAttempt({ assignmentById, sessionFilter }) {
+  const cursor = ExamSession.find(sessionFilter, {
+    assignmentId: 1,
+    createdAt: 1,
+    submittedAt: 1,
+    totalTimeConsumed: 1,
+    grade: 1,
+    result: 1,
+  })
+    .sort({ assignmentId: 1, createdAt: 1 })
+    .lean()
+    .cursor();
+
+  let currentAssignment = null;
+  let attemptNumber = 0;
+  for await (const session of cursor) {
+    const key = session.assignmentId.toString();
+    if (key !== currentAssignment) {
+      currentAssignment = key;
+      attemptNumber = 0;
+    }
+    attemptNumber += 1;
+    yield { session, assignment: assignmentById.get(key), attemptNumber };
+  }
+}
+
+async function* attemptRows(context) {
+  for await (const { session, assignment, attemptNumber } of eachAttempt(
+    context
+  )) {
+    const result = session.result || {};
+    const byCategory = new Map(
+      (result.byCategory || []).map((c) => [c.categoryId.toString(), c])
+    );
+
+    yield [
+      assignment.studentId.name,
+      assignment.studentId.email,
+      assignment.examId.name,
+      attemptNumber,
+      new Date(session.createdAt).toISOString(),
+      session.submittedAt,
+      session.totalTimeConsumed,
+      result.score ?? session.grade,
+      result.totalMarks ?? null,
+      result.percentage ?? null,
+      result.passed === undefined ? null : result.passed ? "Yes" : "No",
+      ...context.categories.flatMap((c) => {
+        const entry = byCategory.get(c._id.toString());
+        return entry ? [entry.score, entry.percentage] : [null, null];
+      }),
+    ];
+  }
+}
+
+const answerHeader = () => [
+  "Student",
+  "Email",
+  "Exam",
+  "Attempt",
+  "Question",
+  "Type",
+  "Answer",
+  "Correct",
+  "Marks awarded",
+  "Marks",
+];
+
+const formatValue = (value) =>
+  value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+
+// One row per submitted answer, attempt by attempt
+async function* answerRows(context) {
+  for await (const { session, assignment, attemptNumber } of eachAttempt(
+    context
+  )) {
+    const answers = await SubmittedAnswer.find({ sessionId: session._id })
+      .populate("questionId", "text type marks categoryId")
+      .lean();
+
+    const policy = getScoringPolicy(assignment.examId);
+    for (const answer of answers) {
+      const question = answer.questionId || {};
+      yield [
+        assignment.studentId.name,
+        assignment.studentId.email,
+        assignment.examId.name,
+        attemptNumber,
+        question.text ?? "(deleted question)",
+        question.type ?? null,
+        formatValue(answer.submittedValue),
+        answer.isCorrect ? "Yes" : "No",
+        getAwardedMarks(answer, question),
+        answer.questionId ? getQuestionValue(policy, question) : null,
+      ];
+    }
+  }
+}
+
+// Text a spreadsheet would run as a formula (names and free-text answers
+// come from students) is prefixed with ' so it reads as plain text
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function* csvLines(header, rows) {
+  yield header.map(toCsvCell).join(",") + "\r\n";
+  for await (const row of rows) {
+    yield row.map(toCsvCell).join(",") + "\r\n";
+  }
+}
+
+// Write rows to the response as they're produced. pipeline waits on
+// backpressure and, if the client goes away, stops the rows (closing the
+// session cursor) and rejects.
+const streamCsv = (res, header, rows) =>
+  pipeline(Readable.from(csvLines(header, rows)), res);
+
+// Streaming workbook: each sheet's rows are committed as they're written
+const streamXlsx = async (res, sheets) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+
+  for (const { name, header, rows } of sheets) {
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.addRow(header).commit();
+    for await (const row of rows) {
+      // Client gone: stop reading rather than build the rest of the file
+      if (res.destroyed) throw new Error("Client disconnected");
+      worksheet.addRow(row).commit();
+    }
+    worksheet.commit();
+  }
+
+  await workbook.commit();
+};
+
+module.exports = {
+  getExportFilter,
+  loadExportContext,
+  attemptHeader,
+  attemptRows,
+  answerHeader,
+  answerRows,
+  streamCsv,
+  streamXlsx,
+};
@@ -0,0 +1,46 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether a student may review a session right now. Needs isReviewAllowed on
+// the assignment and a submitted session, then the review window applies:
+// it opens on submission or after the assignment closes, and optionally
+// expires N days later. Assignment settings override the exam's.
+const getReviewAccess = (session, assignment, exam, now = new Date()) => {
+  if (!assignment.isReviewAllowed) {
+    return { allowed: false, reason: "Review is not allowed for this exam" };
+  }
+  if (!session.submittedAt) {
+    return { allowed: false, reason: "Exam has not been submitted yet" };
+  }
+
+  const opens = assignment.reviewOpens || exam.reviewOpens || "on_submit";
+  const opensAt = new Date(
+    opens === "after_close"
+      ? assignment.closesAt || exam.closesAt
+      : session.submittedAt
+  );
+
+  const days =
+    assignment.reviewExpiresAfterDays ?? exam.reviewExpiresAfterDays ?? null;
+  const expiresAt = days ? new Date(opensAt.getTime() + days * DAY_MS) : null;
+
+  if (now < opensAt) {
+    return {
+      allowed: false,
+      reason: `Review opens at ${opensAt.toISOString()}`,
+      opensAt,
+      expiresAt,
+    };
+  }
+  if (expiresAt && now > expiresAt) {
+    return {
+      allowed: false,
+      reason: "Review window has closed",
+      opensAt,
+      expiresAt,
+    };
+  }
+
+  return { allowed: true, opensAt, expiresAt };
+};
+
+module.exports = { getReviewAccess };
@@ -0,0 +1,141 @@
+const {
+  User,
+  ReviewItem,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// SM-2: a recall of quality 0-5 updates the item's ease, streak and
+// interval. Anything below 3 is a lapse and starts the streak again.
+const applySm2 = (item, quality, now = new Date()) => {
+  let { easeFactor, interval, repetitions, lapses } = item;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * easeFactor);
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastQuality: quality,
+  };
+};
+
+// Recall quality from a graded answer: wrong 1, partly right 2, right 4
+// unless the student rates it themself (3 hard, 4 good, 5 easy)
+const toQuality = ({ isCorrect, fraction }, rating) => {
+  if (!isCorrect) return fraction > 0 ? 2 : 1;
+  const rated = Number(rating);
+  return [3, 4, 5].includes(rated) ? rated : 4;
+};
+
+// Put wrongly answered questions in the student's queue, due now. With
+// `relearn`, questions already queued are due again from scratch (a fresh
+// miss in an exam); without it only new ones are added.
+const enqueueMissedQuestions = async (
+  studentId,
+  questionIds,
+  { relearn = false, now = new Date() } = {}
+) => {
+  const due = now.toISOString();
+  const ids = [...new Set(questionIds.map(String))];
+  if (ids.length === 0) return;
+
+  await ReviewItem.bulkWrite(
+    ids.map((questionId) => ({
+      updateOne: {
+        filter: { studentId, questionId },
+        update: relearn
+          ? {
+              $set: { dueAt: due, repetitions: 0, interval: 0 },
+              $setOnInsert: { studentId, questionId },
+            }
+          : { $setOnInsert: { studentId, questionId, dueAt: due } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+// Queue the misses from a session that was just submitted
+const enqueueSessionMisses = async (session, answers) => {
+  const studentId = session.assignmentId.studentId;
+  const missed = answers.filter((a) => !a.isCorrect).map((a) => a.questionId);
+  await enqueueMissedQuestions(studentId, missed, { relearn: true });
+};
+
+// Misses from every submitted session the student has
+const enqueueHistoricalMisses = async (studentId) => {
+  const assignments = await ExamAssignment.find({ studentId }, { _id: 1 });
+  const sessions = await ExamSession.find(
+    {
+      assignmentId: { $in: assignments.map((a) => a._id) },
+      submittedAt: { $ne: null },
+    },
+    { _id: 1 }
+  );
+  const missed = await SubmittedAnswer.distinct("questionId", {
+    sessionId: { $in: sessions.map((s) => s._id) },
+    isCorrect: false,
+  });
+
+  await enqueueMissedQuestions(studentId, missed);
+};
+
+// Catch up on misses from every submitted session, for history from before
+// the queue existed. Runs once per student; later misses are queued as each
+// session is submitted.
+const backfillReviewQueue = async (studentId) => {
+  const claimed = await User.findOneAndUpdate(
+    { _id: studentId, reviewQueueBackfilledAt: null },
+    { $set: { reviewQueueBackfilledAt: new Date().toISOString() } }
+  );
+  if (!claimed) return;
+
+  try {
+    await enqueueHistoricalMisses(studentId);
+  } catch (err) {
+    // Let the next request try again
+    await User.updateOne(
+      { _id: studentId },
+      { $set: { reviewQueueBackfilledAt: null } }
+    );
+    throw err;
+  }
+};
+
+// End of the current UTC day: everything due by then is "due today"
+const endOfToday = (now = new Date()) => {
+  const end = new Date(now);
+  end.setUTCHours(23, 59, 59, 999);
+  return end.toISOString();
+};
+
+module.exports = {
+  applySm2,
+  toQuality,
+  enqueueMissedQuestions,
+  enqueueSessionMisses,
+  backfillReviewQueue,
+  endOfToday,
+};
@@ -0,0 +1,73 @@
+const { getAwardedMarks, roundMarks } = require("./grading");
+
+// Applied to exams created before scoring policies existed
+const DEFAULT_POLICY = {
+  wrongPenalty: 0,
+  floorAtZero: true,
+  unanswered: "zero",
+  categoryWeights: [],
+};
+
+const getScoringPolicy = (exam) => ({
+  ...DEFAULT_POLICY,
+  ...(exam.scoringPolicy || {}),
+});
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Category weight for a question (1 unless the policy says otherwise)
+const getCategoryWeight = (policy, question) => {
+  const entry = policy.categoryWeights.find(
+    (w) => idOf(w.categoryId) === idOf(question.categoryId)
+  );
+  return entry ? entry.weight : 1;
+};
+
+// Marks a question is worth under the policy
+const getQuestionValue = (policy, question) =>
+  roundMarks(question.marks * getCategoryWeight(policy, question));
+
+// Score for one graded answer: its share of the weighted marks, or the
+// wrong-answer penalty when it earned nothing at all
+const scoreAnswer = (policy, question, fraction) => {
+  const value = getQuestionValue(policy, question);
+  if (fraction > 0) return roundMarks(value * fraction);
+  return roundMarks(-value * policy.wrongPenalty);
+};
+
+// What one question adds to the session score. Running totals leave
+// unanswered questions alone; final scores apply the unanswered treatment.
+const scoreQuestion = (policy, question, answer, { final = false } = {}) => {
+  if (answer) return getAwardedMarks(answer, question);
+  if (final && policy.unanswered === "penalty") {
+    return scoreAnswer(policy, question, 0);
+  }
+  return 0;
+};
+
+const mapAnswersByQuestion = (answers) =>
+  new Map(answers.map((a) => [idOf(a.questionId), a]));
+
+// Session score from its stored answers, floored at zero if the policy says so
+const computeSessionScore = (policy, questions, answers, options = {}) => {
+  const answersByQuestion = mapAnswersByQuestion(answers);
+
+  let score = 0;
+  for (const question of questions) {
+    const answer = answersByQuestion.get(idOf(question));
+    score += scoreQuestion(policy, question, answer, options);
+  }
+
+  if (policy.floorAtZero) score = Math.max(0, score);
+  return roundMarks(score);
+};
+
+module.exports = {
+  getScoringPolicy,
+  getQuestionValue,
+  scoreAnswer,
+  scoreQuestion,
+  mapAnswersByQuestion,
+  computeSessionScore,
+  idOf,
+};
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { sanitize } = require("../models");
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// Turn a payload into JSON-ready data for the caller. Admins see everything;
+// anyone else only sees answer keys when `reveal` is set (an open review).
+// Handles documents, populated or not, and objects already made plain with
+// toObject().
+const serialize = (value, { role, reveal = false } = {}) => {
+  const options = { hideAnswers: role !== "admin" && !reveal };
+
+  const walk = (item) => {
+    if (item === null || typeof item !== "object") return item;
+    if (item instanceof mongoose.Document) return walk(item.toJSON(options));
+    if (Array.isArray(item)) return item.map(walk);
+    if (!isPlainObject(item)) return item; // ObjectId, Date, Buffer...
+
+    const result = {};
+    for (const [key, child] of Object.entries(item)) result[key] = walk(child);
+    return sanitize(result, options);
+  };
+
+  return walk(value);
+};
+
+module.exports = { serialize };
@@ -0,0 +1,11 @@
+const { EventEmitter } = require("events");
+
+// In-process notice that a session's live state changed (connected,
+// disconnected, answered, submitted). The invigilator feed listens to it.
+const sessionActivity = new EventEmitter();
+
+const notifySessionChange = (sessionId, reason) => {
+  sessionActivity.emit("change", { sessionId: String(sessionId), reason });
+};
+
+module.exports = { sessionActivity, notifySessionChange };
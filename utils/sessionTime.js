@@ -0,0 +1,31 @@
+// Time accounting helpers for exam sessions.
+// totalTimeConsumed only holds settled time; while a session is running the
+// stretch since runAt has to be added on top to get the live figure.
+
+// Seconds consumed so far, including the current running stretch
+const getTimeConsumed = (session, now = new Date()) => {
+  let consumed = session.totalTimeConsumed || 0;
+
+  if (session.isRunning && session.runAt) {
+    const runningFor = Math.floor((now - new Date(session.runAt)) / 1000);
+    consumed += Math.max(0, runningFor);
+  }
+
+  return consumed;
+};
+
+// Seconds left on a timed exam, null for untimed exams
+const getRemainingTime = (session, exam, now = new Date()) => {
+  if (exam.type !== "timed") return null;
+  if (session.submittedAt) return 0;
+
+  const remaining = exam.duration - getTimeConsumed(session, now);
+  return remaining > 0 ? remaining : 0;
+};
+
+const isTimeUp = (session, exam, now = new Date()) => {
+  const remaining = getRemainingTime(session, exam, now);
+  return remaining !== null && remaining <= 0;
+};
+
+module.exports = { getTimeConsumed, getRemainingTime, isTimeUp };
@@ -0,0 +1,73 @@
+const { ExamSession, ExamAssignment } = require("../models");
+const { getTimeConsumed } = require("./sessionTime");
+const { computeSessionResult, loadScoringContext } = require("./results");
+const { pauseViewing } = require("./questionTime");
+const { notifySessionChange } = require("./sessionActivity");
+const { enqueueSessionMisses } = require("./reviewQueue");
+const { issueCertificate } = require("./certificates");
+
+// Finalize a session: stamp submittedAt, settle the clock, compute the result
+// (score, percentage, pass/fail, breakdowns) and use up an attempt.
+// Shared by the submit route and the server-side timer. Returns the updated
+// session, or null when it was already submitted (e.g. timer and student raced).
+const submitSession = async (sessionId, { auto = false } = {}) => {
+  const context = await loadScoringContext(sessionId);
+  if (!context || context.session.submittedAt) return null;
+
+  const { session, exam, questions, answers } = context;
+  const now = new Date();
+
+  let totalTimeConsumed = getTimeConsumed(session, now);
+  if (exam.type === "timed") {
+    totalTimeConsumed = Math.min(totalTimeConsumed, exam.duration);
+  }
+
+  const result = computeSessionResult(exam, questions, answers);
+
+  // Bank time on the question that was on screen
+  pauseViewing(session, now);
+
+  // Only the first caller gets to submit
+  const submitted = await ExamSession.findOneAndUpdate(
+    { _id: session._id, submittedAt: null },
+    {
+      $set: {
+        submittedAt: now.toISOString(),
+        autoSubmitted: auto,
+        grade: result.score,
+        result,
+        totalTimeConsumed,
+        questionTimes: session.questionTimes,
+        viewingQuestion: { questionId: null, since: null },
+        isRunning: false,
+        runAt: null,
+        pausedAt: null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!submitted) return null;
+
+  await ExamAssignment.findByIdAndUpdate(session.assignmentId._id, {
+    $inc: { attemptsUsed: 1 },
+  });
+  notifySessionChange(submitted._id, "submitted");
+
+  // Missed questions go into the student's spaced-repetition queue
+  await enqueueSessionMisses(session, answers).catch((err) =>
+    console.error("Error queueing missed questions for review:", err)
+  );
+
+  // A passed official exam earns a certificate; an admin can reissue it
+  // later if this fails
+  if (result.passed && !exam.generatedFor) {
+    await issueCertificate(submitted._id).catch((err) =>
+      console.error("Error issuing certificate:", err)
+    );
+  }
+
+  return submitted;
+};
+
+module.exports = { submitSession };
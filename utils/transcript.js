@@ -0,0 +1,192 @@
+const {
+  User,
+  Question,
+  ExamAssignment,
+  ExamSession,
+  SubmittedAnswer,
+} = require("../models");
+const { httpError } = require("./httpError");
+
+const toPercent = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Month of an ISO timestamp, e.g. "2025-03"
+const toPeriod = (iso) => String(iso).slice(0, 7);
+
+// Accuracy per category per month of submission, oldest first, with the
+// change from the first month to the latest
+const buildCategoryMastery = async (sessions) => {
+  const submittedAtBySession = new Map(
+    sessions.map((s) => [s._id.toString(), s.submittedAt])
+  );
+
+  const answers = await SubmittedAnswer.find(
+    { sessionId: { $in: sessions.map((s) => s._id) } },
+    { sessionId: 1, questionId: 1, isCorrect: 1 }
+  ).lean();
+  const questions = await Question.find(
+    { _id: { $in: [...new Set(answers.map((a) => a.questionId.toString()))] } },
+    { categoryId: 1 }
+  )
+    .populate("categoryId", "name")
+    .lean();
+  const categoryByQuestion = new Map(
+    questions
+      .filter((q) => q.categoryId)
+      .map((q) => [q._id.toString(), q.categoryId])
+  );
+
+  const categories = new Map();
+  for (const answer of answers) {
+    const category = categoryByQuestion.get(answer.questionId.toString());
+    if (!category) continue; // question deleted since
+
+    const key = category._id.toString();
+    if (!categories.has(key)) {
+      categories.set(key, { category, answered: 0, correct: 0, periods: {} });
+    }
+    const entry = categories.get(key);
+    const period = toPeriod(
+      submittedAtBySession.get(answer.sessionId.toString())
+    );
+    entry.periods[period] ||= { period, answered: 0, correct: 0 };
+
+    for (const bucket of [entry, entry.periods[period]]) {
+      bucket.answered += 1;
+      if (answer.isCorrect) bucket.correct += 1;
+    }
+  }
+
+  return [...categories.values()].map(
+    ({ category, answered, correct, periods }) => {
+      const trend = Object.values(periods)
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map((p) => ({ ...p, accuracy: toPercent(p.correct, p.answered) }));
+      const first = trend[0];
+      const latest = trend[trend.length - 1];
+
+      return {
+        categoryId: category._id,
+        category: category.name,
+        answered,
+        correct,
+        accuracy: toPercent(correct, answered),
+        change:
+          trend.length > 1
+            ? Math.round((latest.accuracy - first.accuracy) * 100) / 100
+            : null,
+        trend,
+      };
+    }
+  );
+};
+
+const toAttempt = (session, assignment, attemptNumber) => ({
+  sessionId: session._id,
+  assignmentId: assignment._id,
+  exam: { id: assignment.examId._id, name: assignment.examId.name },
+  attemptNumber,
+  startedAt: session.createdAt,
+  submittedAt: session.submittedAt,
+  autoSubmitted: session.autoSubmitted,
+  score: session.result?.score ?? session.grade,
+  totalMarks: session.result?.totalMarks ?? null,
+  percentage: session.result?.percentage ?? null,
+  passed: session.result?.passed ?? null,
+  timeUsed: session.totalTimeConsumed,
+});
+
+// Everything a student has sat: official attempts, practice attempts kept
+// apart, category mastery over time and what's still open to them
+const buildTranscript = async (studentId, now = new Date()) => {
+  const student = await User.findOne(
+    { _id: studentId, role: "student" },
+    { name: 1, email: 1 }
+  );
+  if (!student) throw httpError(404, "Student not found");
+
+  const assignments = await ExamAssignment.find({ studentId }).populate(
+    "examId",
+    "name generatedFor passingPercentage"
+  );
+  const assignmentById = new Map(
+    assignments.filter((a) => a.examId).map((a) => [a._id.toString(), a])
+  );
+
+  const sessions = await ExamSession.find(
+    { assignmentId: { $in: [...assignmentById.keys()] } },
+    {
+      assignmentId: 1,
+      createdAt: 1,
+      submittedAt: 1,
+      autoSubmitted: 1,
+      grade: 1,
+      result: 1,
+      totalTimeConsumed: 1,
+    }
+  )
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const attempts = [];
+  const practiceAttempts = [];
+  const attemptCounts = new Map();
+  const inProgress = new Set();
+
+  for (const session of sessions) {
+    const key = session.assignmentId.toString();
+    if (!session.submittedAt) {
+      inProgress.add(key);
+      continue;
+    }
+
+    const assignment = assignmentById.get(key);
+    attemptCounts.set(key, (attemptCounts.get(key) || 0) + 1);
+    const attempt = toAttempt(session, assignment, attemptCounts.get(key));
+    (assignment.examId.generatedFor ? practiceAttempts : attempts).push(
+      attempt
+    );
+  }
+
+  const openAssignments = [...assignmentById.values()]
+    .filter(
+      (a) =>
+        a.status === "active" &&
+        new Date(a.closesAt) > now &&
+        a.attemptsUsed < a.allowedAttempts
+    )
+    .map((a) => ({
+      assignmentId: a._id,
+      exam: { id: a.examId._id, name: a.examId.name },
+      isPractice: Boolean(a.examId.generatedFor),
+      opensAt: a.opensAt,
+      closesAt: a.closesAt,
+      allowedAttempts: a.allowedAttempts,
+      attemptsUsed: a.attemptsUsed,
+      attemptsRemaining: a.allowedAttempts - a.attemptsUsed,
+      inProgress: inProgress.has(a._id.toString()),
+    }));
+
+  const passedExams = new Set(
+    attempts.filter((a) => a.passed).map((a) => a.exam.id.toString())
+  );
+
+  return {
+    student,
+    summary: {
+      attempts: attempts.length,
+      passed: attempts.filter((a) => a.passed).length,
+      examsPassed: passedExams.size,
+      practiceAttempts: practiceAttempts.length,
+      openAssignments: openAssignments.length,
+    },
+    attempts,
+    practiceAttempts,
+    categoryMastery: await buildCategoryMastery(
+      sessions.filter((s) => s.submittedAt)
+    ),
+    openAssignments,
+  };
+};
+
+module.exports = { buildTranscript };